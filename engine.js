@@ -0,0 +1,1084 @@
+export const BOARD_SIZES = {
+  4: { FILES: ["A", "B", "C", "D"], RANKS: [1, 2, 3, 4] },
+  5: { FILES: ["A", "B", "C", "D", "E"], RANKS: [1, 2, 3, 4, 5] },
+  6: { FILES: ["A", "B", "C", "D", "E", "F"], RANKS: [1, 2, 3, 4, 5, 6] },
+  7: { FILES: ["A", "B", "C", "D", "E", "F", "G"], RANKS: [1, 2, 3, 4, 5, 6, 7] },
+  8: { FILES: ["A", "B", "C", "D", "E", "F", "G", "H"], RANKS: [1, 2, 3, 4, 5, 6, 7, 8] },
+};
+
+export const DEFAULT_SIZE = 4;
+
+export const STANDARD_POSITION = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w 8";
+
+export function parseSquare(square, size) {
+  const { FILES, RANKS } = BOARD_SIZES[size];
+  const s = String(square ?? "").trim().toUpperCase();
+  if (s.length < 2) return null;
+  const file = s[0];
+  const rank = Number(s.slice(1));
+  if (!FILES.includes(file)) return null;
+  if (!RANKS.includes(rank)) return null;
+  return { file, rank, fileIndex: FILES.indexOf(file) };
+}
+
+export function toSquare(fileIndex, rank, size) {
+  const { FILES, RANKS } = BOARD_SIZES[size];
+  if (fileIndex < 0 || fileIndex >= FILES.length) return null;
+  if (!RANKS.includes(rank)) return null;
+  return `${FILES[fileIndex]}${rank}`;
+}
+
+export function squaresAreAdjacent(a, b, size) {
+  const sa = parseSquare(a, size);
+  const sb = parseSquare(b, size);
+  if (!sa || !sb) return false;
+  const df = Math.abs(sa.fileIndex - sb.fileIndex);
+  const dr = Math.abs(sa.rank - sb.rank);
+  return Math.max(df, dr) === 1;
+}
+
+export function allSquares(size) {
+  const { FILES, RANKS } = BOARD_SIZES[size];
+  const out = [];
+  for (const r of RANKS) {
+    for (const file of FILES) {
+      out.push(`${file}${r}`);
+    }
+  }
+  return out;
+}
+
+export function createEmptyBoard() {
+  return new Map();
+}
+
+export function cloneBoard(board) {
+  const next = new Map();
+  for (const [sq, piece] of board.entries()) {
+    next.set(sq, { ...piece });
+  }
+  return next;
+}
+
+export function pieceName(type) {
+  const t = String(type ?? "").toLowerCase();
+  if (t === "k" || t === "king") return "king";
+  if (t === "q" || t === "queen") return "queen";
+  if (t === "r" || t === "rook") return "rook";
+  if (t === "b" || t === "bishop") return "bishop";
+  if (t === "n" || t === "knight") return "knight";
+  if (t === "p" || t === "pawn") return "pawn";
+  return t;
+}
+
+export function normalizePieceType(type) {
+  const t = pieceName(type);
+  if (t === "king") return "k";
+  if (t === "queen") return "q";
+  if (t === "rook") return "r";
+  if (t === "bishop") return "b";
+  if (t === "knight") return "n";
+  if (t === "pawn") return "p";
+  return t;
+}
+
+export function oppositeColor(color) {
+  const c = normalizeColor(color);
+  if (c === "w") return "b";
+  if (c === "b") return "w";
+  return c;
+}
+
+function pawnDirection(color) {
+  return normalizeColor(color) === "w" ? 1 : -1;
+}
+
+function pawnStartRank(color, size) {
+  return normalizeColor(color) === "w" ? 2 : size - 1;
+}
+
+function promotionRank(color, size) {
+  return normalizeColor(color) === "w" ? size : 1;
+}
+
+function isEdgeRank(square, size) {
+  const s = parseSquare(square, size);
+  if (!s) return false;
+  return s.rank === 1 || s.rank === size;
+}
+
+export function randomInt(maxExclusive) {
+  return Math.floor(Math.random() * maxExclusive);
+}
+
+function pickRandom(arr) {
+  return arr[randomInt(arr.length)];
+}
+
+function removeFromArray(arr, value) {
+  const idx = arr.indexOf(value);
+  if (idx >= 0) arr.splice(idx, 1);
+}
+
+export function normalizeColor(color) {
+  const c = String(color ?? "").trim().toLowerCase();
+  if (c === "w" || c === "white") return "w";
+  if (c === "b" || c === "black") return "b";
+  return c;
+}
+
+const KING_DELTAS = [
+  [-1, -1],
+  [-1, 0],
+  [-1, 1],
+  [0, -1],
+  [0, 1],
+  [1, -1],
+  [1, 0],
+  [1, 1],
+];
+const KNIGHT_DELTAS = [
+  [1, 2],
+  [2, 1],
+  [-1, 2],
+  [-2, 1],
+  [1, -2],
+  [2, -1],
+  [-1, -2],
+  [-2, -1],
+];
+const ROOK_DIRECTIONS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+const BISHOP_DIRECTIONS = [
+  [1, 1],
+  [-1, 1],
+  [1, -1],
+  [-1, -1],
+];
+
+// Cells hold one small integer per square: the piece kind in the low bits, plus BLACK for black pieces.
+const PAWN = 1;
+const KNIGHT = 2;
+const BISHOP = 3;
+const ROOK = 4;
+const QUEEN = 5;
+const KING = 6;
+const BLACK = 8;
+const PIECE_CODES = { p: PAWN, n: KNIGHT, b: BISHOP, r: ROOK, q: QUEEN, k: KING };
+const CODE_VALUES = [0, 1, 3, 3, 5, 9, 0];
+
+const geometries = new Map();
+
+function boardGeometry(size) {
+  const cached = geometries.get(size);
+  if (cached) return cached;
+
+  const { FILES } = BOARD_SIZES[size];
+  const squares = [];
+  const index = new Map();
+  for (let i = 0; i < size * size; i += 1) {
+    const sq = `${FILES[i % size]}${Math.floor(i / size) + 1}`;
+    squares.push(sq);
+    index.set(sq, i);
+  }
+  const step = (i, df, dr) => {
+    const fi = (i % size) + df;
+    const r = Math.floor(i / size) + dr;
+    return fi >= 0 && fi < size && r >= 0 && r < size ? r * size + fi : -1;
+  };
+  const jumps = (deltas) => squares.map((_, i) => deltas.map(([df, dr]) => step(i, df, dr)).filter((t) => t >= 0));
+  const rays = (directions) =>
+    squares.map((_, i) =>
+      directions.map(([df, dr]) => {
+        const ray = [];
+        for (let t = step(i, df, dr); t >= 0; t = step(t, df, dr)) ray.push(t);
+        return ray;
+      }),
+    );
+
+  const middle = Math.floor(size / 2);
+  const hillRanks = size % 2 ? [middle] : [middle - 1, middle];
+  const hill = hillRanks.flatMap((r) => hillRanks.map((fi) => r * size + fi));
+
+  const geometry = {
+    size,
+    squares,
+    index,
+    hill,
+    king: jumps(KING_DELTAS),
+    knight: jumps(KNIGHT_DELTAS),
+    rook: rays(ROOK_DIRECTIONS),
+    bishop: rays(BISHOP_DIRECTIONS),
+    pawnAttacks: [
+      jumps([
+        [-1, 1],
+        [1, 1],
+      ]),
+      jumps([
+        [-1, -1],
+        [1, -1],
+      ]),
+    ],
+  };
+  geometries.set(size, geometry);
+  return geometry;
+}
+
+function pieceCode(piece) {
+  return PIECE_CODES[normalizePieceType(piece.type)] | (normalizeColor(piece.color) === "b" ? BLACK : 0);
+}
+
+function sideCode(color) {
+  return normalizeColor(color) === "b" ? BLACK : 0;
+}
+
+function boardCells(geometry, board) {
+  const cells = new Int8Array(geometry.squares.length);
+  for (const [sq, p] of board) {
+    const i = geometry.index.get(sq);
+    if (i !== undefined) cells[i] = pieceCode(p);
+  }
+  return cells;
+}
+
+function isCellAttacked(geometry, cells, target, bySide) {
+  for (const i of geometry.knight[target]) if (cells[i] === (KNIGHT | bySide)) return true;
+  for (const i of geometry.king[target]) if (cells[i] === (KING | bySide)) return true;
+  for (const i of geometry.pawnAttacks[bySide ? 0 : 1][target]) if (cells[i] === (PAWN | bySide)) return true;
+  for (const ray of geometry.rook[target]) {
+    for (const i of ray) {
+      if (!cells[i]) continue;
+      if (cells[i] === (ROOK | bySide) || cells[i] === (QUEEN | bySide)) return true;
+      break;
+    }
+  }
+  for (const ray of geometry.bishop[target]) {
+    for (const i of ray) {
+      if (!cells[i]) continue;
+      if (cells[i] === (BISHOP | bySide) || cells[i] === (QUEEN | bySide)) return true;
+      break;
+    }
+  }
+  return false;
+}
+
+function isCellCheck(geometry, cells, side) {
+  const king = cells.indexOf(KING | side);
+  return king >= 0 && isCellAttacked(geometry, cells, king, side ^ BLACK);
+}
+
+// Both kings must stay on the board and the mover's king must not be attacked.
+function isCellKingSafe(geometry, cells, side) {
+  const king = cells.indexOf(KING | side);
+  if (king < 0 || cells.indexOf(KING | (side ^ BLACK)) < 0) return false;
+  return !isCellAttacked(geometry, cells, king, side ^ BLACK);
+}
+
+function pseudoCellTargets(geometry, cells, from, code) {
+  const side = code & BLACK;
+  const kind = code & 7;
+  const out = [];
+  const isOpen = (t) => !cells[t] || (cells[t] & BLACK) !== side;
+
+  if (kind === KING || kind === KNIGHT) {
+    for (const t of kind === KING ? geometry.king[from] : geometry.knight[from]) if (isOpen(t)) out.push(t);
+    return out;
+  }
+
+  if (kind === PAWN) {
+    const { size } = geometry;
+    const color = side ? "b" : "w";
+    const rank = Math.floor(from / size) + 1;
+    const dr = pawnDirection(color);
+    const one = from + dr * size;
+    if (rank + dr >= 1 && rank + dr <= size && !cells[one]) {
+      out.push(one);
+      const two = one + dr * size;
+      const canDoublePush = rank === pawnStartRank(color, size) && rank + 2 * dr !== promotionRank(color, size);
+      if (canDoublePush && rank + 2 * dr >= 1 && rank + 2 * dr <= size && !cells[two]) out.push(two);
+    }
+    for (const t of geometry.pawnAttacks[side ? 1 : 0][from]) {
+      if (cells[t] && (cells[t] & BLACK) !== side) out.push(t);
+    }
+    return out;
+  }
+
+  const slide = (rays) => {
+    for (const ray of rays[from]) {
+      for (const t of ray) {
+        if (isOpen(t)) out.push(t);
+        if (cells[t]) break;
+      }
+    }
+  };
+  if (kind === ROOK || kind === QUEEN) slide(geometry.rook);
+  if (kind === BISHOP || kind === QUEEN) slide(geometry.bishop);
+  return out;
+}
+
+function makeCellMove(cells, from, to, placed) {
+  const captured = cells[to];
+  cells[to] = placed;
+  cells[from] = 0;
+  return captured;
+}
+
+function unmakeCellMove(cells, from, to, moved, captured) {
+  cells[from] = moved;
+  cells[to] = captured;
+}
+
+function legalCellTargets(geometry, cells, from, code, rules) {
+  const side = code & BLACK;
+  const legal = [];
+  for (const to of pseudoCellTargets(geometry, cells, from, code)) {
+    const moved = cells[from];
+    const captured = makeCellMove(cells, from, to, code);
+    if (rules.isLegal(geometry, cells, side)) legal.push(to);
+    unmakeCellMove(cells, from, to, moved, captured);
+  }
+  return legal;
+}
+
+function legalCellMoves(geometry, cells, side, rules) {
+  const moves = [];
+  for (let from = 0; from < cells.length; from += 1) {
+    const code = cells[from];
+    if (!code || (code & BLACK) !== side) continue;
+    for (const to of legalCellTargets(geometry, cells, from, code, rules)) moves.push({ from, to, code });
+  }
+  return moves;
+}
+
+function colorName(color) {
+  return color === "w" ? "White" : "Black";
+}
+
+// A variant decides which moves are legal and when the side to move has already lost.
+// Checkmate and stalemate still end every variant once the side to move has no legal moves.
+export const VARIANTS = {
+  standard: {
+    name: "Classic chess",
+    description: "Checkmate the other king to win.",
+    isLegal: isCellKingSafe,
+    hasLost: () => false,
+    materialDraws: true,
+  },
+  "capture-king": {
+    name: "Capture the king",
+    description: "There is no check: any move is allowed, and the first side to take the other king wins.",
+    isLegal: () => true,
+    hasLost: (geometry, cells, side) => cells.indexOf(KING | side) < 0,
+    win: (winner) => ({ title: "King captured!", body: `${colorName(winner)} took the king and wins!` }),
+  },
+  "eat-all": {
+    name: "Eat all the pieces",
+    description: "Take all the other side's pieces. The first side left with only a king loses.",
+    isLegal: isCellKingSafe,
+    hasLost: (geometry, cells, side) => !cells.some((code) => code && (code & BLACK) === side && (code & 7) !== KING),
+    win: (winner) => ({
+      title: "All eaten!",
+      body: `${colorName(oppositeColor(winner))} has only a king left. ${colorName(winner)} wins!`,
+    }),
+    setupError: (pieces) => {
+      const hasArmy = (color) => pieces.some((p) => normalizeColor(p.color) === color && normalizePieceType(p.type) !== "k");
+      return hasArmy("w") && hasArmy("b") ? null : "Eat all needs at least one piece besides the king on each side.";
+    },
+  },
+  "king-of-the-hill": {
+    name: "King of the hill",
+    description: "Walk your king onto the glowing square in the middle of the board to win.",
+    size: 5,
+    isLegal: isCellKingSafe,
+    hasLost: (geometry, cells, side) => geometry.hill.includes(cells.indexOf(KING | (side ^ BLACK))),
+    win: (winner) => ({ title: "King of the hill!", body: `${colorName(winner)}'s king reached the middle and wins!` }),
+    goalSquares: (geometry) => geometry.hill,
+    isFairStart: (geometry, cells) =>
+      [KING, KING | BLACK].every((code) => !geometry.king[cells.indexOf(code)].some((i) => geometry.hill.includes(i))),
+    setupError: (pieces, size) => (size === 5 ? null : "King of the hill is played on the 5×5 board."),
+  },
+};
+
+function variantRules(variant) {
+  return VARIANTS[variant] ?? VARIANTS.standard;
+}
+
+function promotionCodes(geometry, move) {
+  if ((move.code & 7) !== PAWN) return [move.code];
+  const rank = Math.floor(move.to / geometry.size) + 1;
+  const side = move.code & BLACK;
+  if (rank !== promotionRank(side ? "b" : "w", geometry.size)) return [move.code];
+  return PROMOTION_CHOICES.map((type) => PIECE_CODES[type] | side);
+}
+
+export class ChessGame {
+  constructor({ board, turn, size = DEFAULT_SIZE, variant = "standard" }) {
+    this.board = board;
+    this.size = size;
+    this.variant = VARIANTS[variant] ? variant : "standard";
+    this.turn = normalizeColor(turn) || "w";
+  }
+
+  getPieceAt(square) {
+    return this.board.get(square) ?? null;
+  }
+
+  setPieceAt(square, piece) {
+    if (!piece) {
+      this.board.delete(square);
+      return;
+    }
+    this.board.set(square, { ...piece, type: normalizePieceType(piece.type), color: normalizeColor(piece.color) });
+  }
+
+  findKingSquare(color) {
+    const c = normalizeColor(color);
+    for (const [sq, p] of this.board.entries()) {
+      if (p.type === "k" && p.color === c) return sq;
+    }
+    return null;
+  }
+
+  kingsAreSeparated(board = this.board) {
+    let wk = null;
+    let bk = null;
+    for (const [sq, p] of board.entries()) {
+      if (p.type === "k" && p.color === "w") wk = sq;
+      if (p.type === "k" && p.color === "b") bk = sq;
+    }
+    if (!wk || !bk) return false;
+    return !squaresAreAdjacent(wk, bk, this.size);
+  }
+
+  isPromotion(from, to, board = this.board) {
+    const piece = board.get(from);
+    if (!piece || piece.type !== "p") return false;
+    const target = parseSquare(to, this.size);
+    return Boolean(target) && target.rank === promotionRank(piece.color, this.size);
+  }
+
+  applyMove(board, from, to, promotion = "q") {
+    const next = cloneBoard(board);
+    const piece = next.get(from);
+    const promoting = this.isPromotion(from, to, board);
+    next.delete(from);
+    next.set(to, promoting ? { ...piece, type: normalizePieceType(promotion) } : piece);
+    return next;
+  }
+
+  rayAttacks(from, df, dr, board, attackerColor) {
+    const s = parseSquare(from, this.size);
+    if (!s) return [];
+    const out = [];
+    let fi = s.fileIndex + df;
+    let r = s.rank + dr;
+    while (true) {
+      const sq = toSquare(fi, r, this.size);
+      if (!sq) break;
+      const occupying = board.get(sq);
+      out.push(sq);
+      if (occupying) break;
+      fi += df;
+      r += dr;
+    }
+    return out;
+  }
+
+  squareNames(indexes) {
+    const { squares } = boardGeometry(this.size);
+    return indexes.map((i) => squares[i]);
+  }
+
+  knightTargets(from) {
+    const i = boardGeometry(this.size).index.get(from);
+    return i === undefined ? [] : this.squareNames(boardGeometry(this.size).knight[i]);
+  }
+
+  pawnTargets(from, color) {
+    const i = boardGeometry(this.size).index.get(from);
+    return i === undefined ? [] : this.squareNames(boardGeometry(this.size).pawnAttacks[sideCode(color) ? 1 : 0][i]);
+  }
+
+  kingTargets(from) {
+    const i = boardGeometry(this.size).index.get(from);
+    return i === undefined ? [] : this.squareNames(boardGeometry(this.size).king[i]);
+  }
+
+  pseudoMovesForPiece(piece, from, board = this.board) {
+    const geometry = boardGeometry(this.size);
+    const i = geometry.index.get(from);
+    if (i === undefined) return [];
+    return this.squareNames(pseudoCellTargets(geometry, boardCells(geometry, board), i, pieceCode(piece)));
+  }
+
+  attacksFromSquare(square, piece, board = this.board) {
+    const t = normalizePieceType(piece.type);
+    if (t === "k") return this.kingTargets(square);
+    if (t === "n") return this.knightTargets(square);
+    if (t === "p") return this.pawnTargets(square, piece.color);
+    if (t === "r") {
+      return [
+        ...this.rayAttacks(square, 1, 0, board, piece.color),
+        ...this.rayAttacks(square, -1, 0, board, piece.color),
+        ...this.rayAttacks(square, 0, 1, board, piece.color),
+        ...this.rayAttacks(square, 0, -1, board, piece.color),
+      ];
+    }
+    if (t === "b") {
+      return [
+        ...this.rayAttacks(square, 1, 1, board, piece.color),
+        ...this.rayAttacks(square, -1, 1, board, piece.color),
+        ...this.rayAttacks(square, 1, -1, board, piece.color),
+        ...this.rayAttacks(square, -1, -1, board, piece.color),
+      ];
+    }
+    if (t === "q") {
+      return [
+        ...this.attacksFromSquare(square, { ...piece, type: "r" }, board),
+        ...this.attacksFromSquare(square, { ...piece, type: "b" }, board),
+      ];
+    }
+    return [];
+  }
+
+  isSquareAttacked(square, byColor, board = this.board) {
+    const geometry = boardGeometry(this.size);
+    const i = geometry.index.get(square);
+    if (i === undefined) return false;
+    return isCellAttacked(geometry, boardCells(geometry, board), i, sideCode(byColor));
+  }
+
+  attackedSquares(byColor, board = this.board) {
+    const attacker = normalizeColor(byColor);
+    const out = new Set();
+    for (const [sq, p] of board.entries()) {
+      if (p.color !== attacker) continue;
+      for (const target of this.attacksFromSquare(sq, p, board)) out.add(target);
+    }
+    return [...out];
+  }
+
+  hangingPieces(board = this.board) {
+    const geometry = boardGeometry(this.size);
+    const cells = boardCells(geometry, board);
+    const out = [];
+    for (const [sq, p] of board.entries()) {
+      if (p.type === "k") continue;
+      const i = geometry.index.get(sq);
+      const side = sideCode(p.color);
+      if (!isCellAttacked(geometry, cells, i, side ^ BLACK)) continue;
+      if (isCellAttacked(geometry, cells, i, side)) continue;
+      out.push(sq);
+    }
+    return out;
+  }
+
+  kingEscapeSquares(color, board = this.board) {
+    const c = normalizeColor(color);
+    const kingSq = this.findKingSquare(c);
+    if (!kingSq) return [];
+    return this.getLegalMoves(board.get(kingSq), kingSq, board);
+  }
+
+  isCheck(color, board = this.board) {
+    const geometry = boardGeometry(this.size);
+    return isCellCheck(geometry, boardCells(geometry, board), sideCode(color));
+  }
+
+  getLegalMoves(piece, from, board = this.board) {
+    const geometry = boardGeometry(this.size);
+    const i = geometry.index.get(from);
+    if (i === undefined) return [];
+    const cells = boardCells(geometry, board);
+    return this.squareNames(legalCellTargets(geometry, cells, i, pieceCode(piece), variantRules(this.variant)));
+  }
+
+  allLegalMoves(color, board = this.board) {
+    const c = normalizeColor(color);
+    const geometry = boardGeometry(this.size);
+    const cells = boardCells(geometry, board);
+    const rules = variantRules(this.variant);
+    const out = [];
+    for (const [sq, p] of board.entries()) {
+      if (p.color !== c) continue;
+      const i = geometry.index.get(sq);
+      if (i === undefined) continue;
+      for (const to of legalCellTargets(geometry, cells, i, cells[i], rules)) out.push({ from: sq, to: geometry.squares[to], piece: p });
+    }
+    return out;
+  }
+
+  isCheckmate(color, board = this.board) {
+    const c = normalizeColor(color);
+    if (!this.isCheck(c, board)) return false;
+    const moves = this.allLegalMoves(c, board);
+    return moves.length === 0;
+  }
+
+  isStalemate(color, board = this.board) {
+    const c = normalizeColor(color);
+    if (this.isCheck(c, board)) return false;
+    const moves = this.allLegalMoves(c, board);
+    return moves.length === 0;
+  }
+
+  goalSquares() {
+    const rules = variantRules(this.variant);
+    return rules.goalSquares ? this.squareNames(rules.goalSquares(boardGeometry(this.size))) : [];
+  }
+
+  outcome(board = this.board, turn = this.turn) {
+    const c = normalizeColor(turn);
+    const winner = oppositeColor(c);
+    const rules = variantRules(this.variant);
+    const geometry = boardGeometry(this.size);
+    const cells = boardCells(geometry, board);
+    if (rules.hasLost(geometry, cells, sideCode(c))) return { winner, ...rules.win(winner) };
+    if (legalCellMoves(geometry, cells, sideCode(c), rules).length > 0) return null;
+    if (isCellCheck(geometry, cells, sideCode(c))) return { winner, title: "Checkmate!", body: `${colorName(winner)} wins!` };
+    return { winner: null, title: "Stalemate!", body: "The game is a draw." };
+  }
+}
+
+export const PIECE_VALUES = { k: 0, q: 9, r: 5, b: 3, n: 3, p: 1 };
+export const PROMOTION_CHOICES = ["q", "r", "b", "n"];
+export const MATE_SCORE = 10000;
+
+export const COMPUTER_LEVELS = {
+  1: { depth: 0 },
+  2: { depth: 1 },
+  3: { depth: 2 },
+  4: { depth: 3 },
+};
+
+function cellBalance(cells, side) {
+  let total = 0;
+  for (const code of cells) {
+    if (!code) continue;
+    const value = CODE_VALUES[code & 7];
+    total += (code & BLACK) === side ? value : -value;
+  }
+  return total;
+}
+
+function orderMoves(moves, board) {
+  const victimValue = (move) => PIECE_VALUES[board.get(move.to)?.type] ?? 0;
+  return [...moves].sort((a, b) => victimValue(b) - victimValue(a));
+}
+
+function searchCode(geometry, move) {
+  return promotionCodes(geometry, move).length > 1 ? QUEEN | (move.code & BLACK) : move.code;
+}
+
+function searchCells(geometry, cells, side, depth, alpha, beta, ply, rules) {
+  if (rules.hasLost(geometry, cells, side)) return -(MATE_SCORE - ply);
+  const moves = legalCellMoves(geometry, cells, side, rules);
+  if (moves.length === 0) {
+    return isCellCheck(geometry, cells, side) ? -(MATE_SCORE - ply) : 0;
+  }
+  if (depth <= 0) return cellBalance(cells, side);
+
+  moves.sort((a, b) => CODE_VALUES[cells[b.to] & 7] - CODE_VALUES[cells[a.to] & 7]);
+  let best = -Infinity;
+  for (const move of moves) {
+    const captured = makeCellMove(cells, move.from, move.to, searchCode(geometry, move));
+    const score = -searchCells(geometry, cells, side ^ BLACK, depth - 1, -beta, -alpha, ply + 1, rules);
+    unmakeCellMove(cells, move.from, move.to, move.code, captured);
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+export function searchPosition(game, board, color, depth, alpha, beta, ply) {
+  const geometry = boardGeometry(game.size);
+  const cells = boardCells(geometry, board);
+  return searchCells(geometry, cells, sideCode(color), depth, alpha, beta, ply, variantRules(game.variant));
+}
+
+export function chooseComputerMove(game, color, level) {
+  const c = normalizeColor(color);
+  const moves = game.allLegalMoves(c);
+  if (moves.length === 0) return null;
+
+  const depth = COMPUTER_LEVELS[level]?.depth ?? 0;
+  if (depth === 0) return pickRandom(moves);
+
+  const geometry = boardGeometry(game.size);
+  const cells = boardCells(geometry, game.board);
+  const rules = variantRules(game.variant);
+  let bestScore = -Infinity;
+  let bestMoves = [];
+  for (const move of orderMoves(moves, game.board)) {
+    const from = geometry.index.get(move.from);
+    const to = geometry.index.get(move.to);
+    const code = cells[from];
+    const captured = makeCellMove(cells, from, to, searchCode(geometry, { from, to, code }));
+    const score = -searchCells(geometry, cells, sideCode(c) ^ BLACK, depth - 1, -Infinity, -(bestScore - 1), 1, rules);
+    unmakeCellMove(cells, from, to, code, captured);
+    if (score > bestScore) {
+      bestScore = score;
+      bestMoves = [move];
+    } else if (score === bestScore) {
+      bestMoves.push(move);
+    }
+  }
+  return pickRandom(bestMoves);
+}
+
+function perftCells(geometry, cells, side, depth, rules) {
+  if (depth === 0) return 1;
+  if (rules.hasLost(geometry, cells, side)) return 0;
+  let nodes = 0;
+  for (const move of legalCellMoves(geometry, cells, side, rules)) {
+    for (const placed of promotionCodes(geometry, move)) {
+      const captured = makeCellMove(cells, move.from, move.to, placed);
+      nodes += perftCells(geometry, cells, side ^ BLACK, depth - 1, rules);
+      unmakeCellMove(cells, move.from, move.to, move.code, captured);
+    }
+  }
+  return nodes;
+}
+
+export function perft(game, depth, board = game.board, color = game.turn) {
+  const geometry = boardGeometry(game.size);
+  const cells = boardCells(geometry, board);
+  return perftCells(geometry, cells, sideCode(color), depth, variantRules(game.variant));
+}
+
+export const DRAW_MOVE_LIMITS = { 4: 10, 5: 15, 6: 20, 7: 30, 8: 50 };
+
+function positionKey(board, turn) {
+  const pieces = [...board].map(([sq, p]) => `${sq}${p.color}${p.type}`).sort();
+  return `${pieces.join(",")} ${turn}`;
+}
+
+export function isInsufficientMaterial(board) {
+  const extras = [...board.values()].filter((p) => p.type !== "k");
+  if (extras.length === 0) return true;
+  return extras.length === 1 && (extras[0].type === "b" || extras[0].type === "n");
+}
+
+export function resolveMoveLimit(setting, size) {
+  if (setting === "off") return null;
+  if (setting === "auto") return DRAW_MOVE_LIMITS[size] ?? 50;
+  const limit = Number(setting);
+  return Number.isInteger(limit) && limit > 0 ? limit : null;
+}
+
+function movesWithoutProgress(moves, index) {
+  let count = 0;
+  for (let i = index - 1; i >= 0; i -= 1) {
+    if (moves[i].captured || moves[i].piece.type === "p") break;
+    count += 1;
+  }
+  return count;
+}
+
+export function detectDraw(positions, moves, index, moveLimit, variant = "standard") {
+  const { board, turn } = positions[index];
+  if (variantRules(variant).materialDraws && isInsufficientMaterial(board)) {
+    return {
+      title: "Draw: not enough pieces",
+      body: "Nobody has enough pieces left to checkmate. A king alone, or a king with just one bishop or knight, can never trap the other king.",
+    };
+  }
+  const key = positionKey(board, turn);
+  let repeats = 0;
+  for (let i = 0; i <= index; i += 1) {
+    if (positionKey(positions[i].board, positions[i].turn) === key) repeats += 1;
+  }
+  if (repeats >= 3) {
+    return {
+      title: "Draw by repetition",
+      body: "The same position came up three times with the same player to move. The game is going round in circles, so it's a draw.",
+    };
+  }
+  if (moveLimit && movesWithoutProgress(moves, index) >= moveLimit * 2) {
+    return {
+      title: "Draw: move limit reached",
+      body: `${moveLimit} moves in a row went by without a capture or a pawn move, so the game is a draw.`,
+    };
+  }
+  return null;
+}
+
+export function findMateInOne(game, board, color) {
+  for (const move of game.allLegalMoves(color, board)) {
+    const next = game.applyMove(board, move.from, move.to);
+    if (game.outcome(next, oppositeColor(color))?.winner === color) return move;
+  }
+  return null;
+}
+
+function moveSafety(game, board, color, move) {
+  const next = game.applyMove(board, move.from, move.to, move.promotion ?? "q");
+  const gain = PIECE_VALUES[board.get(move.to)?.type] ?? 0;
+  const hanging = game
+    .hangingPieces(next)
+    .filter((sq) => next.get(sq).color === color)
+    .sort((a, b) => PIECE_VALUES[next.get(b).type] - PIECE_VALUES[next.get(a).type]);
+  const risk = hanging.length > 0 ? PIECE_VALUES[next.get(hanging[0]).type] : 0;
+  return { next, hanging, net: gain - risk };
+}
+
+function saferMove(game, board, color) {
+  let best = null;
+  for (const move of orderMoves(game.allLegalMoves(color, board), board)) {
+    const { next, net } = moveSafety(game, board, color, move);
+    if (findMateInOne(game, next, oppositeColor(color))) continue;
+    if (!best || net > best.net) best = { move, net };
+  }
+  return best;
+}
+
+function reviewMoveText(board, move) {
+  const name = pieceName(board.get(move.from).type);
+  return `${name[0].toUpperCase()}${name.slice(1)} ${move.from} to ${move.to}`;
+}
+
+function reviewMove(game, before, move) {
+  if (move.mate || move.win) return null;
+  const color = before.turn;
+  const classic = game.variant === "standard";
+  const played = moveSafety(game, before.board, color, move);
+
+  const mate = findMateInOne(game, before.board, color);
+  if (mate) {
+    return {
+      kind: "missed-mate",
+      better: mate,
+      text: `You could have won right here! ${reviewMoveText(before.board, mate)} ${classic ? "was checkmate" : "wins the game"}.`,
+    };
+  }
+
+  const threat = findMateInOne(game, played.next, oppositeColor(color));
+  if (!threat && played.hanging.length === 0) return null;
+  const better = saferMove(game, before.board, color);
+  if (!better) return null;
+
+  if (threat) {
+    return {
+      kind: "walked-into-mate",
+      better: better.move,
+      text: `Careful! After this move the other side can ${classic ? "checkmate" : "win"} with ${reviewMoveText(played.next, threat)}. ${reviewMoveText(before.board, better.move)} keeps your king safe.`,
+    };
+  }
+  if (better.net - played.net >= 1) {
+    const square = played.hanging[0];
+    return {
+      kind: "hanging",
+      better: better.move,
+      text: `Oh no, your ${pieceName(played.next.get(square).type)} on ${square} can be taken for free! ${reviewMoveText(before.board, better.move)} would have been safer.`,
+    };
+  }
+  return null;
+}
+
+export function reviewGame(positions, moves, colors, size, variant = "standard") {
+  return moves.map((move, i) => {
+    const before = positions[i];
+    if (!colors.includes(before.turn)) return null;
+    const game = new ChessGame({ board: before.board, turn: before.turn, size, variant });
+    return reviewMove(game, before, move);
+  });
+}
+
+export const PIECE_TYPES = ["k", "q", "r", "b", "n", "p"];
+
+export function validatePosition(board, turn, size, variant = "standard") {
+  const kings = { w: 0, b: 0 };
+  for (const [sq, p] of board.entries()) {
+    if (p.type === "k") kings[p.color] += 1;
+    if (p.type === "p" && isEdgeRank(sq, size)) return "Pawns can't stand on the first or last rank.";
+  }
+  if (kings.w !== 1) return "White needs exactly one king.";
+  if (kings.b !== 1) return "Black needs exactly one king.";
+
+  // Variants without check (capture the king) allow kings side by side and a king left in check.
+  if (variantRules(variant).isLegal !== isCellKingSafe) return null;
+  const game = new ChessGame({ board, turn, size, variant });
+  if (!game.kingsAreSeparated(board)) return "The kings can't stand next to each other.";
+  const waiting = oppositeColor(game.turn);
+  if (game.isCheck(waiting, board)) {
+    return `${waiting === "w" ? "White" : "Black"} is in check but it's not their turn.`;
+  }
+  return null;
+}
+
+export function serializePosition(game) {
+  const rows = [];
+  for (let rank = game.size; rank >= 1; rank -= 1) {
+    let row = "";
+    let empty = 0;
+    for (let fi = 0; fi < game.size; fi += 1) {
+      const p = game.getPieceAt(toSquare(fi, rank, game.size));
+      if (!p) {
+        empty += 1;
+        continue;
+      }
+      if (empty > 0) row += String(empty);
+      empty = 0;
+      row += p.color === "w" ? p.type.toUpperCase() : p.type;
+    }
+    if (empty > 0) row += String(empty);
+    rows.push(row);
+  }
+  return `${rows.join("/")} ${game.turn} ${game.size}`;
+}
+
+export function parsePosition(text, variant = "standard") {
+  const parts = String(text ?? "").trim().split(/\s+/);
+  if (parts.length !== 3) return { error: "Write the pieces, the side to move and the board size, e.g. \"k3/4/1K2/3R w 4\"." };
+
+  const [placement, side, sizeText] = parts;
+  const size = Number(sizeText);
+  if (!BOARD_SIZES[size]) {
+    const sizes = Object.keys(BOARD_SIZES).map(Number);
+    return { error: `Board size must be between ${Math.min(...sizes)} and ${Math.max(...sizes)}.` };
+  }
+  const turn = normalizeColor(side);
+  if (turn !== "w" && turn !== "b") return { error: "Side to move must be \"w\" or \"b\"." };
+  const rows = placement.split("/");
+  if (rows.length !== size) return { error: `A ${size}×${size} board needs ${size} ranks separated by "/".` };
+
+  const board = createEmptyBoard();
+  for (let i = 0; i < rows.length; i += 1) {
+    const rank = size - i;
+    let fi = 0;
+    for (const ch of rows[i]) {
+      if (/[1-9]/.test(ch)) {
+        fi += Number(ch);
+        continue;
+      }
+      const type = normalizePieceType(ch);
+      if (!PIECE_TYPES.includes(type)) return { error: `"${ch}" is not a piece letter.` };
+      const sq = toSquare(fi, rank, size);
+      if (!sq) return { error: `Rank ${rank} has more than ${size} squares.` };
+      board.set(sq, { type, color: ch === ch.toUpperCase() ? "w" : "b" });
+      fi += 1;
+    }
+    if (fi !== size) return { error: `Rank ${rank} must describe exactly ${size} squares.` };
+  }
+
+  const error = validatePosition(board, turn, size, variant);
+  if (error) return { error };
+  return { board, turn, size };
+}
+
+export function mirrorSquare(square, size) {
+  const s = parseSquare(square, size);
+  if (!s) return null;
+  return toSquare(s.fileIndex, size + 1 - s.rank, size);
+}
+
+function hasMirroredPieces(pieces) {
+  const counts = new Map();
+  for (const up of pieces) {
+    const type = normalizePieceType(up.type);
+    const delta = normalizeColor(up.color) === "w" ? 1 : -1;
+    counts.set(type, (counts.get(type) ?? 0) + delta);
+  }
+  return [...counts.values()].every((n) => n === 0);
+}
+
+function placePiecesRandomly(pieces, size) {
+  const board = createEmptyBoard();
+  const available = allSquares(size);
+
+  const wkSq = pickRandom(available);
+  removeFromArray(available, wkSq);
+
+  const nonAdjacentToWk = available.filter((sq) => !squaresAreAdjacent(wkSq, sq, size));
+  if (nonAdjacentToWk.length === 0) return null;
+  const bkSq = pickRandom(nonAdjacentToWk);
+  removeFromArray(available, bkSq);
+
+  board.set(wkSq, { type: "k", color: "w" });
+  board.set(bkSq, { type: "k", color: "b" });
+
+  for (const up of pieces) {
+    const type = normalizePieceType(up.type);
+    const candidates = type === "p" ? available.filter((sq) => !isEdgeRank(sq, size)) : available;
+    if (candidates.length === 0) return null;
+    const sq = pickRandom(candidates);
+    removeFromArray(available, sq);
+    board.set(sq, { type, color: normalizeColor(up.color) });
+  }
+  return board;
+}
+
+function placePiecesSymmetrically(pieces, size) {
+  const board = createEmptyBoard();
+  const available = allSquares(size).filter((sq) => 2 * parseSquare(sq, size).rank < size + 1);
+
+  const wkSq = pickRandom(available);
+  removeFromArray(available, wkSq);
+  const bkSq = mirrorSquare(wkSq, size);
+  if (squaresAreAdjacent(wkSq, bkSq, size)) return null;
+
+  board.set(wkSq, { type: "k", color: "w" });
+  board.set(bkSq, { type: "k", color: "b" });
+
+  for (const up of pieces) {
+    if (normalizeColor(up.color) !== "w") continue;
+    const type = normalizePieceType(up.type);
+    const candidates = type === "p" ? available.filter((sq) => !isEdgeRank(sq, size)) : available;
+    if (candidates.length === 0) return null;
+    const sq = pickRandom(candidates);
+    removeFromArray(available, sq);
+    board.set(sq, { type, color: "w" });
+    board.set(mirrorSquare(sq, size), { type, color: "b" });
+  }
+  return board;
+}
+
+// Positions loaded or set up by hand skip generateStartingPosition, so they are checked here.
+export function variantStartError(variant, board, size) {
+  return variantRules(variant).setupError?.([...board.values()], size) ?? null;
+}
+
+export function generateStartingPosition(userPieces, options = {}) {
+  const pieces = Array.isArray(userPieces) ? userPieces : [];
+  const turn = normalizeColor(options.turn) || "w";
+  const maxAttempts = Number(options.maxAttempts ?? 3000);
+  const allowStartingCheck = Boolean(options.allowStartingCheck);
+  const symmetric = Boolean(options.symmetric);
+  const size = Number(options.size ?? DEFAULT_SIZE);
+  const rules = variantRules(options.variant);
+
+  if (!BOARD_SIZES[size]) return { error: `There is no ${size}×${size} board.` };
+  if (pieces.length + 2 > allSquares(size).length) {
+    return { error: `${pieces.length + 2} pieces don't fit on a ${size}×${size} board.` };
+  }
+  if (symmetric && !hasMirroredPieces(pieces)) {
+    return { error: "Mirror-image placement needs the same pieces on both sides." };
+  }
+  const setupError = rules.setupError?.(pieces, size);
+  if (setupError) return { error: setupError };
+
+  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+    const board = symmetric ? placePiecesSymmetrically(pieces, size) : placePiecesRandomly(pieces, size);
+    if (!board) continue;
+
+    const game = new ChessGame({ board, turn, size, variant: options.variant });
+    if (!game.kingsAreSeparated(board)) continue;
+    if (!allowStartingCheck && game.isCheck(turn, board)) continue;
+    if (!allowStartingCheck && game.isCheck(oppositeColor(turn), board)) continue;
+    if (game.isCheckmate("w", board)) continue;
+    if (game.isCheckmate("b", board)) continue;
+    const geometry = boardGeometry(size);
+    const cells = boardCells(geometry, board);
+    if (rules.hasLost(geometry, cells, 0) || rules.hasLost(geometry, cells, BLACK)) continue;
+    if (rules.isFairStart && !rules.isFairStart(geometry, cells)) continue;
+
+    return { board, turn, size };
+  }
+
+  return { error: "Couldn't find a fair starting position for these pieces. Try fewer pieces." };
+}
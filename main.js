@@ -1,358 +1,145 @@
-const BOARD_SIZES = {
-  4: { FILES: ["A", "B", "C", "D"], RANKS: [1, 2, 3, 4] },
-  5: { FILES: ["A", "B", "C", "D", "E"], RANKS: [1, 2, 3, 4, 5] },
-};
-
-let currentSize = 4;
-let FILES = BOARD_SIZES[4].FILES;
-let RANKS = BOARD_SIZES[4].RANKS;
-
-function setBoardSize(size) {
-  currentSize = size;
-  FILES = BOARD_SIZES[size].FILES;
-  RANKS = BOARD_SIZES[size].RANKS;
-}
-
-function parseSquare(square) {
-  const s = String(square ?? "").trim().toUpperCase();
-  if (s.length < 2) return null;
-  const file = s[0];
-  const rank = Number(s.slice(1));
-  if (!FILES.includes(file)) return null;
-  if (!RANKS.includes(rank)) return null;
-  return { file, rank, fileIndex: FILES.indexOf(file) };
-}
-
-function toSquare(fileIndex, rank) {
-  if (fileIndex < 0 || fileIndex >= FILES.length) return null;
-  if (!RANKS.includes(rank)) return null;
-  return `${FILES[fileIndex]}${rank}`;
+import {
+  BOARD_SIZES,
+  DEFAULT_SIZE,
+  STANDARD_POSITION,
+  parseSquare,
+  toSquare,
+  createEmptyBoard,
+  cloneBoard,
+  pieceName,
+  normalizePieceType,
+  normalizeColor,
+  oppositeColor,
+  randomInt,
+  ChessGame,
+  PIECE_VALUES,
+  PROMOTION_CHOICES,
+  chooseComputerMove,
+  resolveMoveLimit,
+  detectDraw,
+  reviewGame,
+  PIECE_TYPES,
+  validatePosition,
+  serializePosition,
+  parsePosition,
+  generateStartingPosition,
+  VARIANTS,
+  variantStartError,
+} from "./engine.js";
+
+const HINT_LEVEL = 3;
+
+function suggestMove(game, color) {
+  return chooseComputerMove(game, color, HINT_LEVEL);
 }
 
-function squaresAreAdjacent(a, b) {
-  const sa = parseSquare(a);
-  const sb = parseSquare(b);
-  if (!sa || !sb) return false;
-  const df = Math.abs(sa.fileIndex - sb.fileIndex);
-  const dr = Math.abs(sa.rank - sb.rank);
-  return Math.max(df, dr) === 1;
-}
+function explainMove(game, move) {
+  const them = oppositeColor(move.piece.color);
+  const next = game.applyMove(game.board, move.from, move.to);
+  if (game.isCheckmate(them, next)) return "This is mate!";
+  if (game.outcome(next, them)?.winner === move.piece.color) return "This wins the game!";
 
-function allSquares() {
-  const out = [];
-  for (let r = 1; r <= 4; r += 1) {
-    for (let fi = 0; fi < 4; fi += 1) {
-      out.push(`${FILES[fi]}${r}`);
-    }
+  const captured = game.board.get(move.to);
+  const check = game.isCheck(them, next);
+  if (captured) {
+    return `This captures the ${pieceName(captured.type)}${check ? " and gives check" : ""}.`;
   }
-  return out;
-}
-
-function createEmptyBoard() {
-  return new Map();
-}
-
-function cloneBoard(board) {
-  const next = new Map();
-  for (const [sq, piece] of board.entries()) {
-    next.set(sq, { ...piece });
+  if (game.isPromotion(move.from, move.to)) return "This turns your pawn into a queen.";
+  if (check) return "This gives check.";
+  if (game.isCheck(move.piece.color)) return "This gets your king out of check.";
+  if (move.piece.type !== "k" && game.isSquareAttacked(move.from, them) && !game.isSquareAttacked(move.to, them, next)) {
+    return `This moves your ${pieceName(move.piece.type)} out of danger.`;
   }
-  return next;
+  return "This keeps your pieces safe.";
 }
 
-function pieceName(type) {
-  const t = String(type ?? "").toLowerCase();
-  if (t === "k" || t === "king") return "king";
-  if (t === "q" || t === "queen") return "queen";
-  if (t === "r" || t === "rook") return "rook";
-  if (t === "b" || t === "bishop") return "bishop";
-  if (t === "n" || t === "knight") return "knight";
-  return t;
-}
+const SCORE_RULES = {
+  move: 1,
+  capturePerPoint: 10,
+  check: 5,
+  checkmate: 50,
+  streakEvery: 3,
+  streakBonus: 5,
+  wrongMove: -2,
+  hint: -3,
+};
 
-function normalizePieceType(type) {
-  const t = pieceName(type);
-  if (t === "king") return "k";
-  if (t === "queen") return "q";
-  if (t === "rook") return "r";
-  if (t === "bishop") return "b";
-  if (t === "knight") return "n";
-  return t;
+function createScore() {
+  return {
+    points: { moves: 0, captures: 0, checks: 0, mates: 0, streaks: 0, mistakes: 0, hints: 0 },
+    streak: 0,
+    bestStreak: 0,
+    movesPlayed: 0,
+    wrongMoves: 0,
+    hintsUsed: 0,
+  };
 }
 
-function oppositeColor(color) {
-  const c = normalizeColor(color);
-  if (c === "w") return "b";
-  if (c === "b") return "w";
-  return c;
+function scoreTotal(score) {
+  const sum = Object.values(score.points).reduce((a, b) => a + b, 0);
+  return Math.max(0, sum);
 }
 
-function randomInt(maxExclusive) {
-  return Math.floor(Math.random() * maxExclusive);
+function scoreMove(score, move) {
+  const points = { ...score.points };
+  points.moves += SCORE_RULES.move;
+  if (move.captured) points.captures += (PIECE_VALUES[move.captured.type] ?? 0) * SCORE_RULES.capturePerPoint;
+  if (move.mate || move.win) points.mates += SCORE_RULES.checkmate;
+  else if (move.check) points.checks += SCORE_RULES.check;
+  const streak = score.streak + 1;
+  if (streak % SCORE_RULES.streakEvery === 0) points.streaks += SCORE_RULES.streakBonus;
+  return {
+    ...score,
+    points,
+    streak,
+    bestStreak: Math.max(score.bestStreak, streak),
+    movesPlayed: score.movesPlayed + 1,
+  };
 }
 
-function pickRandom(arr) {
-  return arr[randomInt(arr.length)];
+function scoreWrongMove(score) {
+  const points = { ...score.points, mistakes: score.points.mistakes + SCORE_RULES.wrongMove };
+  return { ...score, points, streak: 0, wrongMoves: score.wrongMoves + 1 };
 }
 
-function removeFromArray(arr, value) {
-  const idx = arr.indexOf(value);
-  if (idx >= 0) arr.splice(idx, 1);
+function scoreHint(score) {
+  const points = { ...score.points, hints: score.points.hints + SCORE_RULES.hint };
+  return { ...score, points, hintsUsed: score.hintsUsed + 1 };
 }
 
-class ChessGame {
-  constructor({ board, turn }) {
-    this.board = board;
-    this.turn = normalizeColor(turn) || "w";
-  }
-
-  getPieceAt(square) {
-    return this.board.get(square) ?? null;
-  }
-
-  setPieceAt(square, piece) {
-    if (!piece) {
-      this.board.delete(square);
-      return;
-    }
-    this.board.set(square, { ...piece, type: normalizePieceType(piece.type), color: normalizeColor(piece.color) });
-  }
-
-  findKingSquare(color) {
-    const c = normalizeColor(color);
-    for (const [sq, p] of this.board.entries()) {
-      if (p.type === "k" && p.color === c) return sq;
-    }
-    return null;
-  }
-
-  kingsAreSeparated(board = this.board) {
-    let wk = null;
-    let bk = null;
-    for (const [sq, p] of board.entries()) {
-      if (p.type === "k" && p.color === "w") wk = sq;
-      if (p.type === "k" && p.color === "b") bk = sq;
-    }
-    if (!wk || !bk) return false;
-    return !squaresAreAdjacent(wk, bk);
-  }
-
-  applyMove(board, from, to) {
-    const next = cloneBoard(board);
-    const piece = next.get(from);
-    next.delete(from);
-    next.set(to, piece);
-    return next;
-  }
-
-  rayAttacks(from, df, dr, board, attackerColor) {
-    const s = parseSquare(from);
-    if (!s) return [];
-    const out = [];
-    let fi = s.fileIndex + df;
-    let r = s.rank + dr;
-    while (true) {
-      const sq = toSquare(fi, r);
-      if (!sq) break;
-      const occupying = board.get(sq);
-      out.push(sq);
-      if (occupying) break;
-      fi += df;
-      r += dr;
-    }
-    return out;
-  }
-
-  knightTargets(from) {
-    const s = parseSquare(from);
-    if (!s) return [];
-    const deltas = [
-      [1, 2],
-      [2, 1],
-      [-1, 2],
-      [-2, 1],
-      [1, -2],
-      [2, -1],
-      [-1, -2],
-      [-2, -1],
-    ];
-    const out = [];
-    for (const [df, dr] of deltas) {
-      const sq = toSquare(s.fileIndex + df, s.rank + dr);
-      if (sq) out.push(sq);
-    }
-    return out;
-  }
-
-  kingTargets(from) {
-    const s = parseSquare(from);
-    if (!s) return [];
-    const out = [];
-    for (let df = -1; df <= 1; df += 1) {
-      for (let dr = -1; dr <= 1; dr += 1) {
-        if (df === 0 && dr === 0) continue;
-        const sq = toSquare(s.fileIndex + df, s.rank + dr);
-        if (sq) out.push(sq);
-      }
-    }
-    return out;
-  }
-
-  pseudoMovesForPiece(piece, from, board = this.board) {
-    const t = normalizePieceType(piece.type);
-    const c = normalizeColor(piece.color);
-    const moves = [];
-    const addIfOk = (sq) => {
-      const occ = board.get(sq);
-      if (!occ) {
-        moves.push(sq);
-        return true;
-      }
-      if (occ.color !== c) {
-        moves.push(sq);
-      }
-      return false;
-    };
-
-    if (t === "k") {
-      for (const sq of this.kingTargets(from)) addIfOk(sq);
-      return moves;
-    }
-
-    if (t === "n") {
-      for (const sq of this.knightTargets(from)) addIfOk(sq);
-      return moves;
-    }
-
-    const ray = (df, dr) => {
-      const s = parseSquare(from);
-      if (!s) return;
-      let fi = s.fileIndex + df;
-      let r = s.rank + dr;
-      while (true) {
-        const sq = toSquare(fi, r);
-        if (!sq) return;
-        const keepGoing = addIfOk(sq);
-        if (!keepGoing) return;
-        fi += df;
-        r += dr;
-      }
-    };
-
-    if (t === "r" || t === "q") {
-      ray(1, 0);
-      ray(-1, 0);
-      ray(0, 1);
-      ray(0, -1);
-    }
-    if (t === "b" || t === "q") {
-      ray(1, 1);
-      ray(-1, 1);
-      ray(1, -1);
-      ray(-1, -1);
-    }
-
-    return moves;
-  }
-
-  attacksFromSquare(square, piece, board = this.board) {
-    const t = normalizePieceType(piece.type);
-    if (t === "k") return this.kingTargets(square);
-    if (t === "n") return this.knightTargets(square);
-    if (t === "r") {
-      return [
-        ...this.rayAttacks(square, 1, 0, board, piece.color),
-        ...this.rayAttacks(square, -1, 0, board, piece.color),
-        ...this.rayAttacks(square, 0, 1, board, piece.color),
-        ...this.rayAttacks(square, 0, -1, board, piece.color),
-      ];
-    }
-    if (t === "b") {
-      return [
-        ...this.rayAttacks(square, 1, 1, board, piece.color),
-        ...this.rayAttacks(square, -1, 1, board, piece.color),
-        ...this.rayAttacks(square, 1, -1, board, piece.color),
-        ...this.rayAttacks(square, -1, -1, board, piece.color),
-      ];
-    }
-    if (t === "q") {
-      return [
-        ...this.attacksFromSquare(square, { ...piece, type: "r" }, board),
-        ...this.attacksFromSquare(square, { ...piece, type: "b" }, board),
-      ];
-    }
-    return [];
-  }
-
-  isSquareAttacked(square, byColor, board = this.board) {
-    const attacker = normalizeColor(byColor);
-    for (const [sq, p] of board.entries()) {
-      if (p.color !== attacker) continue;
-      const targets = this.attacksFromSquare(sq, p, board);
-      if (targets.includes(square)) return true;
-    }
-    return false;
-  }
-
-  isCheck(color, board = this.board) {
-    const c = normalizeColor(color);
-    const kingSq = (() => {
-      for (const [sq, p] of board.entries()) {
-        if (p.type === "k" && p.color === c) return sq;
-      }
-      return null;
-    })();
-    if (!kingSq) return false;
-    return this.isSquareAttacked(kingSq, oppositeColor(c), board);
-  }
-
-  getLegalMoves(piece, from, board = this.board) {
-    const p = { ...piece, type: normalizePieceType(piece.type), color: normalizeColor(piece.color) };
-    const candidate = this.pseudoMovesForPiece(p, from, board);
-    const legal = [];
-    for (const to of candidate) {
-      const nextBoard = this.applyMove(board, from, to);
-      if (!this.kingsAreSeparated(nextBoard)) continue;
-      if (this.isCheck(p.color, nextBoard)) continue;
-      if (p.type === "k") {
-        if (this.isSquareAttacked(to, oppositeColor(p.color), nextBoard)) continue;
-      }
-      legal.push(to);
-    }
-    return legal;
-  }
-
-  allLegalMoves(color, board = this.board) {
-    const c = normalizeColor(color);
-    const out = [];
-    for (const [sq, p] of board.entries()) {
-      if (p.color !== c) continue;
-      const moves = this.getLegalMoves(p, sq, board);
-      for (const to of moves) out.push({ from: sq, to, piece: p });
-    }
-    return out;
-  }
-
-  isCheckmate(color, board = this.board) {
-    const c = normalizeColor(color);
-    if (!this.isCheck(c, board)) return false;
-    const moves = this.allLegalMoves(c, board);
-    return moves.length === 0;
+function scoreBreakdown(score) {
+  const labels = {
+    moves: "Moves",
+    captures: "Captures",
+    checks: "Checks",
+    mates: "Checkmate",
+    streaks: "Streak bonus",
+    mistakes: "Wrong moves",
+    hints: "Hints",
+  };
+  const out = [];
+  for (const [key, label] of Object.entries(labels)) {
+    const value = score.points[key];
+    if (value !== 0) out.push({ label, value });
   }
+  return out;
+}
 
-  isStalemate(color, board = this.board) {
-    const c = normalizeColor(color);
-    if (this.isCheck(c, board)) return false;
-    const moves = this.allLegalMoves(c, board);
-    return moves.length === 0;
-  }
+function formatPoints(value) {
+  return value > 0 ? `+${value}` : String(value);
 }
 
-function normalizeColor(color) {
-  const c = String(color ?? "").trim().toLowerCase();
-  if (c === "w" || c === "white") return "w";
-  if (c === "b" || c === "black") return "b";
-  return c;
+function formatScoreSummary(score) {
+  const rows = scoreBreakdown(score)
+    .map(({ label, value }) => `<li><span>${label}</span><span>${formatPoints(value)}</span></li>`)
+    .join("");
+  return `
+    <ul class="score-summary">
+      ${rows}
+      <li class="score-summary__total"><span>Total</span><span>${scoreTotal(score)}</span></li>
+    </ul>
+    <div class="score-summary__note">Best streak: ${score.bestStreak} · Wrong moves: ${score.wrongMoves} · Hints: ${score.hintsUsed}</div>
+  `;
 }
 
 function getPieceAssetPath(piece, color) {
@@ -365,26 +152,37 @@ function isDarkSquare(fileIndex, rank) {
   return (fileIndex + (rank - 1)) % 2 === 0;
 }
 
-function createBoardFrame(container) {
+function createBoardFrame(container, size, orientation = "w") {
+  const { FILES, RANKS } = BOARD_SIZES[size];
   container.innerHTML = "";
+  container.dataset.orientation = orientation;
 
   const n = FILES.length;
-  container.style.gridTemplateColumns = `40px repeat(${n}, 1fr)`;
-  container.style.gridTemplateRows = `40px repeat(${n}, 1fr)`;
+  const large = n >= 7;
+  const labelSize = large ? 28 : 40;
+  container.classList.toggle("board-frame--large", large);
+  container.style.gridTemplateColumns = `${labelSize}px repeat(${n}, 1fr)`;
+  container.style.gridTemplateRows = `${labelSize}px repeat(${n}, 1fr)`;
 
   const corner = document.createElement("div");
   corner.className = "corner";
   corner.textContent = " ";
   container.appendChild(corner);
 
-  for (let fi = 0; fi < FILES.length; fi += 1) {
+  const flipped = orientation === "b";
+  const fileOrder = FILES.map((_, fi) => fi);
+  const rankOrder = RANKS.map((_, r) => r);
+  if (flipped) fileOrder.reverse();
+  else rankOrder.reverse();
+
+  for (const fi of fileOrder) {
     const label = document.createElement("div");
     label.className = "file-label";
     label.textContent = FILES[fi];
     container.appendChild(label);
   }
 
-  for (let r = RANKS.length - 1; r >= 0; r -= 1) {
+  for (const r of rankOrder) {
     const rank = RANKS[r];
 
     const rankLabel = document.createElement("div");
@@ -392,7 +190,7 @@ function createBoardFrame(container) {
     rankLabel.textContent = String(rank);
     container.appendChild(rankLabel);
 
-    for (let fi = 0; fi < FILES.length; fi += 1) {
+    for (const fi of fileOrder) {
       const file = FILES[fi];
       const square = document.createElement("div");
       const dark = isDarkSquare(fi, rank);
@@ -400,6 +198,7 @@ function createBoardFrame(container) {
       square.dataset.square = `${file}${rank}`;
       square.setAttribute("role", "button");
       square.setAttribute("aria-label", `Square ${file}${rank}`);
+      square.tabIndex = -1;
 
       const coord = document.createElement("div");
       coord.className = "square__coord";
@@ -418,6 +217,8 @@ function renderPieces(boardFrame, board) {
     const piece = board.get(square);
 
     const existing = sqEl.querySelector("img.piece");
+    const src = piece ? getPieceAssetPath(pieceName(piece.type), piece.color) : null;
+    if (existing && existing.getAttribute("src") === src) continue;
     if (existing) existing.remove();
 
     if (!piece) continue;
@@ -425,9 +226,55 @@ function renderPieces(boardFrame, board) {
     img.className = "piece";
     img.draggable = false;
     img.alt = `${piece.color === "w" ? "White" : "Black"} ${pieceName(piece.type)}`;
-    img.src = getPieceAssetPath(pieceName(piece.type), piece.color);
+    img.src = src;
     sqEl.appendChild(img);
   }
+  updateSquareLabels(boardFrame);
+}
+
+const MOVE_ANIMATION_MS = 220;
+const CAPTURE_ANIMATION_MS = 320;
+
+function animateMove(boardFrame, move) {
+  const fromEl = boardFrame.querySelector(`[data-square="${move.from}"]`);
+  const toEl = boardFrame.querySelector(`[data-square="${move.to}"]`);
+  const img = toEl ? toEl.querySelector("img.piece") : null;
+  if (!fromEl || !img || typeof img.animate !== "function") return;
+
+  const from = fromEl.getBoundingClientRect();
+  const to = toEl.getBoundingClientRect();
+  img.animate(
+    [{ transform: `translate(${from.left - to.left}px, ${from.top - to.top}px)` }, { transform: "none" }],
+    { duration: MOVE_ANIMATION_MS, easing: "ease-out" },
+  );
+
+  if (!move.captured) return;
+  const captured = document.createElement("img");
+  captured.className = "capture-ghost";
+  captured.alt = "";
+  captured.src = getPieceAssetPath(pieceName(move.captured.type), move.captured.color);
+  toEl.appendChild(captured);
+  captured.animate(
+    [
+      { opacity: 1, transform: "scale(1) rotate(0deg)" },
+      { opacity: 0, transform: "scale(1.5) rotate(25deg)" },
+    ],
+    { duration: CAPTURE_ANIMATION_MS, easing: "ease-in" },
+  ).onfinish = () => captured.remove();
+}
+
+function updateSquareLabels(boardFrame) {
+  for (const sqEl of boardFrame.querySelectorAll(".square")) {
+    const img = sqEl.querySelector("img.piece");
+    const marker = sqEl.querySelector(".square__marker");
+    const parts = [`Square ${sqEl.dataset.square}`, img ? img.alt.toLowerCase() : "empty"];
+    if (marker) parts.push(marker.dataset.label);
+    if (sqEl.classList.contains("square--goal")) parts.push("hill");
+    if (sqEl.classList.contains("square--selected")) parts.push("selected");
+    if (sqEl.classList.contains("square--legal")) parts.push("legal move");
+    if (sqEl.classList.contains("square--legal-capture")) parts.push("legal capture");
+    sqEl.setAttribute("aria-label", parts.join(", "));
+  }
 }
 
 function clearHighlights(boardFrame) {
@@ -435,18 +282,170 @@ function clearHighlights(boardFrame) {
   for (const sqEl of squares) {
     sqEl.classList.remove("square--selected", "square--legal", "square--legal-capture", "square--wrong");
   }
+  updateSquareLabels(boardFrame);
 }
 
-function highlightLegalMoves(boardFrame, from, legalMoves) {
+function highlightLegalMoves(boardFrame, from, legalMoves, board) {
   clearHighlights(boardFrame);
   const fromEl = boardFrame.querySelector(`[data-square="${from}"]`);
   if (fromEl) fromEl.classList.add("square--selected");
   for (const to of legalMoves) {
     const toEl = boardFrame.querySelector(`[data-square="${to}"]`);
     if (!toEl) continue;
-    const piece = current.board.get(to);
+    const piece = board.get(to);
     toEl.classList.add(piece ? "square--legal-capture" : "square--legal");
   }
+  updateSquareLabels(boardFrame);
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function clearArrows(boardFrame) {
+  const svg = boardFrame.querySelector(".board-arrows");
+  if (svg) svg.remove();
+}
+
+function drawArrow(boardFrame, from, to, tone) {
+  const fromEl = boardFrame.querySelector(`[data-square="${from}"]`);
+  const toEl = boardFrame.querySelector(`[data-square="${to}"]`);
+  if (!fromEl || !toEl) return;
+
+  let svg = boardFrame.querySelector(".board-arrows");
+  if (!svg) {
+    svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("class", "board-arrows");
+    svg.setAttribute("aria-hidden", "true");
+    svg.innerHTML = ["good", "bad"]
+      .map(
+        (t) => `<marker id="arrowhead-${t}" class="arrowhead arrowhead--${t}" viewBox="0 0 10 10" refX="5" refY="5"
+          markerWidth="4" markerHeight="4" orient="auto-start-reverse"><path d="M0 0 L10 5 L0 10 z" /></marker>`,
+      )
+      .join("");
+    boardFrame.appendChild(svg);
+  }
+
+  const frame = boardFrame.getBoundingClientRect();
+  const center = (el) => {
+    const rect = el.getBoundingClientRect();
+    return [rect.left + rect.width / 2 - frame.left, rect.top + rect.height / 2 - frame.top];
+  };
+  const [x1, y1] = center(fromEl);
+  const [x2, y2] = center(toEl);
+  const line = document.createElementNS(SVG_NS, "line");
+  line.setAttribute("class", `arrow arrow--${tone}`);
+  line.setAttribute("x1", x1);
+  line.setAttribute("y1", y1);
+  line.setAttribute("x2", x2);
+  line.setAttribute("y2", y2);
+  line.setAttribute("marker-end", `url(#arrowhead-${tone})`);
+  svg.appendChild(line);
+}
+
+const DRAG_THRESHOLD_PX = 6;
+
+function beginPointerDrag(event, imageSrc, { onStart, onDrop }) {
+  const startX = event.clientX;
+  const startY = event.clientY;
+  let ghost = null;
+
+  const onMove = (e) => {
+    if (!ghost) {
+      if (Math.hypot(e.clientX - startX, e.clientY - startY) < DRAG_THRESHOLD_PX) return;
+      ghost = document.createElement("img");
+      ghost.className = "drag-ghost";
+      ghost.alt = "";
+      ghost.src = imageSrc;
+      document.body.appendChild(ghost);
+      if (onStart) onStart();
+    }
+    ghost.style.left = `${e.clientX}px`;
+    ghost.style.top = `${e.clientY}px`;
+  };
+
+  const onEnd = (e) => {
+    window.removeEventListener("pointermove", onMove);
+    window.removeEventListener("pointerup", onEnd);
+    window.removeEventListener("pointercancel", onEnd);
+    if (!ghost) return;
+    ghost.remove();
+    const target = e.type === "pointerup" ? document.elementFromPoint(e.clientX, e.clientY) : null;
+    const sqEl = target ? target.closest(".square") : null;
+    onDrop(sqEl ? sqEl.dataset.square : null);
+  };
+
+  window.addEventListener("pointermove", onMove);
+  window.addEventListener("pointerup", onEnd);
+  window.addEventListener("pointercancel", onEnd);
+}
+
+function renderPalette(paletteEl) {
+  paletteEl.innerHTML = "";
+  for (const color of ["w", "b"]) {
+    for (const type of PIECE_TYPES) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "palette__item";
+      btn.dataset.tool = `${color}${type}`;
+      btn.setAttribute("aria-label", `${color === "w" ? "White" : "Black"} ${pieceName(type)}`);
+      const img = document.createElement("img");
+      img.className = "piece";
+      img.draggable = false;
+      img.alt = "";
+      img.src = getPieceAssetPath(pieceName(type), color);
+      btn.appendChild(img);
+      paletteEl.appendChild(btn);
+    }
+  }
+  const eraser = document.createElement("button");
+  eraser.type = "button";
+  eraser.className = "palette__item palette__item--eraser";
+  eraser.dataset.tool = "erase";
+  eraser.setAttribute("aria-label", "Remove pieces");
+  eraser.textContent = "✖";
+  paletteEl.appendChild(eraser);
+}
+
+function parseTool(tool) {
+  if (!tool || tool === "erase") return null;
+  return { color: tool[0], type: tool.slice(1) };
+}
+
+function clearOverlays(boardFrame) {
+  const squares = boardFrame.querySelectorAll(".square");
+  for (const sqEl of squares) {
+    sqEl.classList.remove("square--attacked", "square--hanging", "square--escape", "square--goal");
+  }
+}
+
+function renderOverlays(boardFrame, game, overlays) {
+  clearOverlays(boardFrame);
+  const mark = (squares, className) => {
+    for (const sq of squares) {
+      const sqEl = boardFrame.querySelector(`[data-square="${sq}"]`);
+      if (sqEl) sqEl.classList.add(className);
+    }
+  };
+  if (overlays.attacks) mark(game.attackedSquares(oppositeColor(game.turn)), "square--attacked");
+  if (overlays.hanging) mark(game.hangingPieces(), "square--hanging");
+  if (overlays.escapes && game.isCheck(game.turn)) mark(game.kingEscapeSquares(game.turn), "square--escape");
+  mark(game.goalSquares(), "square--goal");
+  updateSquareLabels(boardFrame);
+}
+
+function clearHint(boardFrame) {
+  const squares = boardFrame.querySelectorAll(".square");
+  for (const sqEl of squares) {
+    sqEl.classList.remove("square--hint", "square--hint-target");
+  }
+}
+
+function showHint(boardFrame, move, stage) {
+  clearHint(boardFrame);
+  const fromEl = boardFrame.querySelector(`[data-square="${move.from}"]`);
+  if (fromEl) fromEl.classList.add("square--hint");
+  if (stage < 2) return;
+  const toEl = boardFrame.querySelector(`[data-square="${move.to}"]`);
+  if (toEl) toEl.classList.add("square--hint-target");
 }
 
 function showCelebration(boardFrame, square) {
@@ -459,255 +458,2751 @@ function showCelebration(boardFrame, square) {
   setTimeout(() => emoji.remove(), 600);
 }
 
-function showModal(title, body, onConfirm) {
+const SOUND_EFFECTS = {
+  move: [{ freq: 520, duration: 0.06, type: "triangle" }],
+  capture: [
+    { freq: 330, duration: 0.08, type: "square" },
+    { freq: 220, duration: 0.12, type: "square", delay: 0.07 },
+  ],
+  check: [
+    { freq: 880, duration: 0.1, type: "sine" },
+    { freq: 880, duration: 0.1, type: "sine", delay: 0.14 },
+  ],
+  wrong: [{ freq: 150, duration: 0.22, type: "sawtooth" }],
+  mate: [
+    { freq: 523, duration: 0.14, type: "triangle" },
+    { freq: 659, duration: 0.14, type: "triangle", delay: 0.13 },
+    { freq: 784, duration: 0.14, type: "triangle", delay: 0.26 },
+    { freq: 1047, duration: 0.3, type: "triangle", delay: 0.39 },
+  ],
+};
+
+function createSoundPlayer() {
+  let context = null;
+  return (name) => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const tones = SOUND_EFFECTS[name];
+    if (!AudioContextClass || !tones) return;
+    if (!context) context = new AudioContextClass();
+    if (context.state === "suspended") context.resume();
+    const start = context.currentTime;
+    for (const tone of tones) {
+      const at = start + (tone.delay ?? 0);
+      const osc = context.createOscillator();
+      const gain = context.createGain();
+      osc.type = tone.type;
+      osc.frequency.value = tone.freq;
+      gain.gain.setValueAtTime(0.15, at);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + tone.duration);
+      osc.connect(gain).connect(context.destination);
+      osc.start(at);
+      osc.stop(at + tone.duration);
+    }
+  };
+}
+
+function moveSound(move) {
+  if (move.mate || move.win) return "mate";
+  if (move.check) return "check";
+  return move.captured ? "capture" : "move";
+}
+
+function formatClock(ms) {
+  const seconds = Math.ceil(Math.max(0, ms) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function showModal(title, body, onConfirm, actions = [], confirmLabel = "Play Again") {
   const overlay = document.createElement("div");
   overlay.className = "modal-overlay";
   overlay.innerHTML = `
-    <div class="modal">
+    <div class="modal" role="dialog" aria-modal="true">
       <div class="modal__title">${title}</div>
       <div class="modal__body">${body}</div>
-      <button class="modal__btn">Play Again</button>
+      <div class="modal__actions">
+        <button class="modal__btn">${confirmLabel}</button>
+      </div>
     </div>
   `;
   overlay.querySelector(".modal__btn").addEventListener("click", () => {
     overlay.remove();
     if (onConfirm) onConfirm();
   });
+  const actionsEl = overlay.querySelector(".modal__actions");
+  for (const action of actions) {
+    const btn = document.createElement("button");
+    btn.className = "modal__btn modal__btn--secondary";
+    btn.textContent = action.label;
+    btn.addEventListener("click", () => {
+      overlay.remove();
+      action.onClick();
+    });
+    actionsEl.appendChild(btn);
+  }
   document.body.appendChild(overlay);
+  overlay.querySelector(".modal__btn").focus();
 }
 
-function generateStartingPosition(userPieces, options = {}) {
-  const pieces = Array.isArray(userPieces) ? userPieces : [];
-  const turn = normalizeColor(options.turn) || "w";
-  const maxAttempts = Number(options.maxAttempts ?? 3000);
-  const allowStartingCheck = Boolean(options.allowStartingCheck);
+function closeModals() {
+  for (const overlay of document.querySelectorAll(".modal-overlay")) overlay.remove();
+}
 
-  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
-    const board = createEmptyBoard();
-    const available = allSquares();
+function describeMove(move) {
+  const color = move.piece.color === "w" ? "White" : "Black";
+  const parts = [`${color} ${pieceName(move.piece.type)} ${move.from} to ${move.to}`];
+  if (move.captured) parts.push(`takes ${pieceName(move.captured.type)}`);
+  if (move.promotion) parts.push(`becomes a ${pieceName(move.promotion)}`);
+  if (move.mate) parts.push("checkmate");
+  else if (move.win) parts.push("wins the game");
+  else if (move.check) parts.push("check");
+  return parts.join(", ");
+}
 
-    const wkSq = pickRandom(available);
-    removeFromArray(available, wkSq);
+function formatMove(move) {
+  const sep = move.captured ? "×" : "–";
+  const promotion = move.promotion ? `=${move.promotion.toUpperCase()}` : "";
+  const suffix = move.mate ? "#" : move.check ? "+" : "";
+  return `${move.piece.type.toUpperCase()} ${move.from}${sep}${move.to}${promotion}${suffix}`;
+}
 
-    const nonAdjacentToWk = available.filter((sq) => !squaresAreAdjacent(wkSq, sq));
-    if (nonAdjacentToWk.length === 0) continue;
-    const bkSq = pickRandom(nonAdjacentToWk);
-    removeFromArray(available, bkSq);
+function renderHistory(listEl, moves, index, startTurn = "w") {
+  listEl.innerHTML = "";
 
-    board.set(wkSq, { type: "k", color: "w" });
-    board.set(bkSq, { type: "k", color: "b" });
+  const offset = startTurn === "b" ? 1 : 0;
+  const entries = [{ label: "Start position", position: 0 }];
+  moves.forEach((move, i) => {
+    const number = `${Math.floor((i + offset) / 2) + 1}.${move.piece.color === "b" ? ".." : ""}`;
+    entries.push({ label: `${number} ${formatMove(move)}`, position: i + 1 });
+  });
 
-    let ok = true;
-    for (const up of pieces) {
-      if (available.length === 0) {
-        ok = false;
-        break;
-      }
-      const sq = pickRandom(available);
-      removeFromArray(available, sq);
-      board.set(sq, { type: normalizePieceType(up.type), color: normalizeColor(up.color) });
-    }
-    if (!ok) continue;
+  for (const entry of entries) {
+    const item = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "history__move";
+    btn.dataset.position = String(entry.position);
+    btn.textContent = entry.label;
+    if (entry.position === index) btn.classList.add("history__move--current");
+    if (entry.position > index) btn.classList.add("history__move--future");
+    item.appendChild(btn);
+    listEl.appendChild(item);
+  }
 
-    const game = new ChessGame({ board, turn });
-    if (!game.kingsAreSeparated(board)) continue;
-    if (!allowStartingCheck && game.isCheck(turn, board)) continue;
-    if (!allowStartingCheck && game.isCheck(oppositeColor(turn), board)) continue;
-    if (game.isCheckmate("w", board)) continue;
-    if (game.isCheckmate("b", board)) continue;
+  // Scroll only the list: scrollIntoView would also scroll the page.
+  const currentEl = listEl.querySelector(".history__move--current");
+  if (!currentEl) return;
+  const top = currentEl.offsetTop;
+  const bottom = top + currentEl.offsetHeight;
+  if (top < listEl.scrollTop) listEl.scrollTop = top;
+  else if (bottom > listEl.scrollTop + listEl.clientHeight) listEl.scrollTop = bottom - listEl.clientHeight;
+}
 
-    return { board, turn };
+function showPromotionPicker(color, onPick) {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal__title">Your pawn made it!</div>
+      <div class="modal__body">Pick a new piece for it.</div>
+      <div class="promotion-choices"></div>
+    </div>
+  `;
+  const choices = overlay.querySelector(".promotion-choices");
+  for (const type of PROMOTION_CHOICES) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "promotion-choice";
+    btn.setAttribute("aria-label", pieceName(type));
+    const img = document.createElement("img");
+    img.className = "piece";
+    img.alt = "";
+    img.src = getPieceAssetPath(pieceName(type), color);
+    btn.appendChild(img);
+    btn.addEventListener("click", () => {
+      overlay.remove();
+      onPick(type);
+    });
+    choices.appendChild(btn);
   }
+  document.body.appendChild(overlay);
+  choices.querySelector("button").focus();
+}
+
+const LOADOUT_TYPES = ["q", "r", "b", "n", "p"];
+const MAX_LOADOUT_COUNT = 8;
+
+const DEFAULT_LOADOUT = {
+  w: { q: 0, r: 1, b: 0, n: 0, p: 0 },
+  b: { q: 0, r: 1, b: 0, n: 0, p: 0 },
+  mirror: true,
+  symmetric: false,
+};
 
-  return { board: createEmptyBoard(), turn };
+function normalizeLoadout(data) {
+  const side = (counts) => {
+    const out = {};
+    for (const type of LOADOUT_TYPES) {
+      const n = Math.floor(Number(counts?.[type] ?? 0));
+      out[type] = Number.isFinite(n) ? Math.min(Math.max(n, 0), MAX_LOADOUT_COUNT) : 0;
+    }
+    return out;
+  };
+  return {
+    w: side(data?.w),
+    b: side(data?.b),
+    mirror: Boolean(data?.mirror),
+    symmetric: Boolean(data?.symmetric),
+  };
 }
 
-function setMessage(text, tone = "neutral") {
-  const el = document.getElementById("messageArea");
-  el.textContent = text;
-  if (tone === "danger") {
-    el.style.color = "var(--danger)";
-  } else {
-    el.style.color = "var(--muted)";
+function loadLoadout() {
+  try {
+    const saved = localStorage.getItem("chess-loadout");
+    return normalizeLoadout(saved ? JSON.parse(saved) : DEFAULT_LOADOUT);
+  } catch {
+    return normalizeLoadout(DEFAULT_LOADOUT);
   }
 }
 
-function setScore(value) {
-  document.getElementById("scoreValue").textContent = String(value);
+function saveLoadout(loadout) {
+  localStorage.setItem("chess-loadout", JSON.stringify(loadout));
 }
 
-function setTurn(value) {
-  document.getElementById("turnValue").textContent = value;
+function loadoutPieces(loadout) {
+  const pieces = [];
+  for (const color of ["w", "b"]) {
+    const counts = loadout.mirror ? loadout.w : loadout[color];
+    for (const type of LOADOUT_TYPES) {
+      for (let i = 0; i < counts[type]; i += 1) pieces.push({ type, color });
+    }
+  }
+  return pieces;
 }
 
-function resetUIState() {
-  setScore(0);
-  setTurn("White");
-  setMessage("Make your move.");
+function renderLoadoutInputs(container, color) {
+  container.innerHTML = "";
+  for (const type of LOADOUT_TYPES) {
+    const label = document.createElement("label");
+    label.className = "loadout__count";
+    const img = document.createElement("img");
+    img.className = "loadout__piece";
+    img.alt = "";
+    img.src = getPieceAssetPath(pieceName(type), color);
+    const input = document.createElement("input");
+    input.className = "setup-input loadout__input";
+    input.type = "number";
+    input.min = "0";
+    input.max = String(MAX_LOADOUT_COUNT);
+    input.dataset.color = color;
+    input.dataset.type = type;
+    input.setAttribute("aria-label", `${color === "w" ? "White" : "Black"} ${pieceName(type)}s`);
+    label.append(img, input);
+    container.appendChild(label);
+  }
 }
 
-function init() {
-  const boardFrame = document.getElementById("boardFrame");
-  const boardSizeSelect = document.getElementById("boardSizeSelect");
-  const pieceCountRow = document.getElementById("pieceCountRow");
-  const pieceCountSelect = document.getElementById("pieceCountSelect");
-  const themeSelect = document.getElementById("themeSelect");
-
-  const applyTheme = (theme) => {
-    document.documentElement.setAttribute("data-theme", theme);
-    localStorage.setItem("chess-theme", theme);
+const PROFILES_VERSION = 1;
+const MAX_PROFILE_GAMES = 500;
+const RESULTS = ["win", "loss", "draw"];
+const RESULT_LABELS = { win: "Won", loss: "Lost", draw: "Draw" };
+const RECENT_GAME_COUNT = 10;
+
+function createProfile(name) {
+  return {
+    id: `p${Date.now().toString(36)}${randomInt(1000).toString(36)}`,
+    name: String(name ?? "").trim() || "Player",
+    createdAt: new Date().toISOString(),
+    games: [],
+    settings: null,
   };
+}
 
-  const savedTheme = localStorage.getItem("chess-theme") || "dark";
-  themeSelect.value = savedTheme;
-  applyTheme(savedTheme);
+// A profile without settings just uses whatever is picked in the footer.
+function normalizeProfileSettings(data) {
+  if (!data || typeof data !== "object") return null;
+  return {
+    size: BOARD_SIZES[data.size] ? Number(data.size) : DEFAULT_SIZE,
+    loadout: normalizeLoadout(data.loadout ?? DEFAULT_LOADOUT),
+    opponent: String(data.opponent ?? "off"),
+    clock: String(data.clock ?? "off"),
+    increment: String(data.increment ?? "0"),
+    hints: data.hints !== false,
+    sound: data.sound !== false,
+    locked: Boolean(data.locked),
+  };
+}
 
-  themeSelect.addEventListener("change", () => {
-    applyTheme(themeSelect.value);
-  });
+function createParentQuestion() {
+  const a = 12 + randomInt(8);
+  const b = 3 + randomInt(7);
+  return { text: `What is ${a} × ${b}?`, answer: a * b };
+}
 
-  const getLoadout = () => {
-    const size = Number(boardSizeSelect.value);
-    const count = Number(pieceCountSelect.value);
-    if (size === 4) {
-      return [
-        { type: "rook", color: "w" },
-        { type: "bishop", color: "b" },
-      ];
-    }
-    if (count === 2) {
-      return [
-        { type: "rook", color: "w" },
-        { type: "bishop", color: "b" },
-        { type: "knight", color: "w" },
-        { type: "queen", color: "b" },
-      ];
-    }
-    return [
-      { type: "rook", color: "w" },
-      { type: "bishop", color: "b" },
-      { type: "knight", color: "w" },
-      { type: "queen", color: "b" },
-      { type: "rook", color: "w" },
-      { type: "bishop", color: "b" },
-    ];
+function normalizeProfile(raw) {
+  if (!raw || typeof raw.id !== "string") return null;
+  const games = (Array.isArray(raw.games) ? raw.games : [])
+    .filter((g) => g && BOARD_SIZES[g.size] && RESULTS.includes(g.result) && !Number.isNaN(Date.parse(g.date)))
+    .map((g) => ({
+      date: g.date,
+      size: Number(g.size),
+      variant: VARIANTS[g.variant] ? g.variant : "standard",
+      result: g.result,
+      score: Number(g.score) || 0,
+      moves: Number(g.moves) || 0,
+      wrongMoves: Number(g.wrongMoves) || 0,
+      hintsUsed: Number(g.hintsUsed) || 0,
+    }))
+    .slice(-MAX_PROFILE_GAMES);
+  return {
+    id: raw.id,
+    name: String(raw.name ?? "").trim() || "Player",
+    createdAt: raw.createdAt ?? new Date().toISOString(),
+    games,
+    settings: normalizeProfileSettings(raw.settings),
   };
+}
 
-  const startNewGame = () => {
-    const size = Number(boardSizeSelect.value);
-    setBoardSize(size);
-    createBoardFrame(boardFrame);
-    const loadout = getLoadout();
-    score = 0;
-    current = new ChessGame({
-      ...generateStartingPosition(loadout, { turn: "w" }),
-    });
-    selectedSquare = null;
-    clearHighlights(boardFrame);
-    resetUIState();
-    render();
-  };
+function normalizeProfileList(list) {
+  return (Array.isArray(list) ? list : []).map(normalizeProfile).filter(Boolean);
+}
 
-  boardSizeSelect.addEventListener("change", () => {
-    const size = Number(boardSizeSelect.value);
-    pieceCountRow.style.display = size === 5 ? "grid" : "none";
-    startNewGame();
-  });
+function normalizeProfiles(data) {
+  const profiles = normalizeProfileList(data?.profiles);
+  if (profiles.length === 0) profiles.push(createProfile("Player 1"));
+  const activeId = profiles.some((p) => p.id === data?.activeId) ? data.activeId : profiles[0].id;
+  return { version: PROFILES_VERSION, activeId, profiles };
+}
 
-  pieceCountSelect.addEventListener("change", startNewGame);
+function loadProfiles() {
+  try {
+    return normalizeProfiles(JSON.parse(localStorage.getItem("chess-profiles") || "null"));
+  } catch {
+    return normalizeProfiles(null);
+  }
+}
 
-  let score = 0;
-  let current = new ChessGame({
-    ...generateStartingPosition(getLoadout(), { turn: "w" }),
-  });
+function saveProfiles(data) {
+  localStorage.setItem("chess-profiles", JSON.stringify(data));
+}
 
-  let selectedSquare = null;
+function mergeProfiles(data, imported) {
+  const byId = new Map(data.profiles.map((p) => [p.id, p]));
+  for (const profile of imported.profiles) byId.set(profile.id, profile);
+  return normalizeProfiles({ ...data, profiles: [...byId.values()] });
+}
 
-  const render = () => {
-    renderPieces(boardFrame, current.board);
-    setScore(score);
-    setTurn(current.turn === "w" ? "White" : "Black");
+function wrongMoveRate(games) {
+  const wrong = games.reduce((sum, g) => sum + g.wrongMoves, 0);
+  const attempts = games.reduce((sum, g) => sum + g.moves + g.wrongMoves, 0);
+  return attempts === 0 ? 0 : wrong / attempts;
+}
 
-    if (current.isCheckmate(current.turn)) {
-      const winner = current.turn === "w" ? "Black" : "White";
-      showModal("Checkmate!", `${winner} wins!`, () => {
-        resetBtn.click();
-      });
-      return;
-    }
-    if (current.isStalemate(current.turn)) {
-      showModal("Stalemate!", "The game is a draw.", () => {
-        resetBtn.click();
-      });
-      return;
-    }
-    if (current.isCheck(current.turn)) {
-      setMessage(`${current.turn === "w" ? "White" : "Black"} is in check!`);
-      return;
-    }
-    setMessage("Make your move.");
+function summarizeGames(games) {
+  return {
+    played: games.length,
+    wins: games.filter((g) => g.result === "win").length,
+    losses: games.filter((g) => g.result === "loss").length,
+    draws: games.filter((g) => g.result === "draw").length,
+    bestScore: games.reduce((best, g) => Math.max(best, g.score), 0),
+    wrongMoveRate: wrongMoveRate(games),
   };
+}
 
-  const handleSquareClick = (square) => {
-    const piece = current.getPieceAt(square);
+function profileStatsBySize(profile) {
+  const out = [];
+  for (const size of Object.keys(BOARD_SIZES).map(Number)) {
+    const games = profile.games.filter((g) => g.size === size);
+    if (games.length > 0) out.push({ size, ...summarizeGames(games) });
+  }
+  return out;
+}
 
-    if (selectedSquare === null) {
-      if (!piece || piece.color !== current.turn) {
-        clearHighlights(boardFrame);
-        return;
-      }
-      selectedSquare = square;
-      const legal = current.getLegalMoves(piece, square);
-      highlightLegalMoves(boardFrame, square, legal);
-      return;
-    }
+function weekStart(dateText) {
+  const d = new Date(dateText);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
 
-    if (selectedSquare === square) {
-      selectedSquare = null;
-      clearHighlights(boardFrame);
-      return;
-    }
+function profileStatsByWeek(profile) {
+  const weeks = new Map();
+  for (const game of profile.games) {
+    const key = weekStart(game.date).toISOString();
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(game);
+  }
+  return [...weeks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week, games]) => ({ week, ...summarizeGames(games) }));
+}
 
-    const movingPiece = current.getPieceAt(selectedSquare);
-    if (!movingPiece || movingPiece.color !== current.turn) {
-      selectedSquare = null;
-      clearHighlights(boardFrame);
-      return;
-    }
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-    const legal = current.getLegalMoves(movingPiece, selectedSquare);
-    if (!legal.includes(square)) {
-      const sqEl = boardFrame.querySelector(`[data-square="${square}"]`);
-      if (sqEl) {
-        sqEl.classList.add("square--wrong");
-        setTimeout(() => sqEl.classList.remove("square--wrong"), 400);
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function renderProgress(container, profile) {
+  const sizeRows = profileStatsBySize(profile)
+    .map(
+      (s) => `<tr>
+        <td>${s.size}×${s.size}</td><td>${s.played}</td><td>${s.wins}</td><td>${s.losses}</td><td>${s.draws}</td>
+        <td>${s.bestScore}</td><td>${formatPercent(s.wrongMoveRate)}</td>
+      </tr>`,
+    )
+    .join("");
+  const weekRows = profileStatsByWeek(profile)
+    .map(
+      (w) => `<tr>
+        <td>${new Date(w.week).toLocaleDateString()}</td><td>${w.played}</td><td>${w.wins}</td>
+        <td>${w.bestScore}</td><td>${formatPercent(w.wrongMoveRate)}</td>
+      </tr>`,
+    )
+    .join("");
+
+  container.innerHTML = profile.games.length === 0
+    ? `<p class="progress__empty">${escapeHtml(profile.name)} hasn't finished a game yet.</p>`
+    : `
+      <h3 class="progress__heading">By board size</h3>
+      <table class="progress__table">
+        <thead><tr><th>Board</th><th>Games</th><th>Won</th><th>Lost</th><th>Draw</th><th>Best</th><th>Wrong moves</th></tr></thead>
+        <tbody>${sizeRows}</tbody>
+      </table>
+      <h3 class="progress__heading">By week</h3>
+      <table class="progress__table">
+        <thead><tr><th>Week of</th><th>Games</th><th>Won</th><th>Best</th><th>Wrong moves</th></tr></thead>
+        <tbody>${weekRows}</tbody>
+      </table>
+    `;
+}
+
+function renderRecentGames(container, profile) {
+  const games = profile.games.slice(-RECENT_GAME_COUNT).reverse();
+  if (games.length === 0) {
+    container.innerHTML = `<p class="progress__empty">${escapeHtml(profile.name)} hasn't finished a game yet.</p>`;
+    return;
+  }
+  const summary = summarizeGames(games);
+  const hints = games.reduce((sum, g) => sum + g.hintsUsed, 0);
+  const rows = games
+    .map(
+      (g) => `<tr>
+        <td>${new Date(g.date).toLocaleDateString()}</td><td>${g.size}×${g.size}</td><td>${VARIANTS[g.variant].name}</td>
+        <td>${RESULT_LABELS[g.result]}</td><td>${g.moves}</td><td>${g.wrongMoves}</td><td>${g.hintsUsed}</td>
+      </tr>`,
+    )
+    .join("");
+
+  container.innerHTML = `
+    <p class="progress__empty">
+      Last ${games.length} ${games.length === 1 ? "game" : "games"}: ${summary.wins} won, ${summary.losses} lost,
+      ${summary.draws} drawn. ${formatPercent(summary.wrongMoveRate)} of tries were wrong moves, and ${hints}
+      ${hints === 1 ? "hint was" : "hints were"} used.
+    </p>
+    <table class="progress__table">
+      <thead><tr><th>Date</th><th>Board</th><th>Rules</th><th>Result</th><th>Moves</th><th>Wrong moves</th><th>Hints</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderProfileOptions(selectEl, data) {
+  selectEl.innerHTML = "";
+  for (const profile of data.profiles) {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    selectEl.appendChild(option);
+  }
+  selectEl.value = data.activeId;
+}
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const SAVED_GAME_VERSION = 1;
+
+function normalizeScore(raw) {
+  const base = createScore();
+  const points = { ...base.points };
+  for (const key of Object.keys(points)) {
+    const value = Number(raw?.points?.[key]);
+    if (Number.isFinite(value)) points[key] = value;
+  }
+  const count = (key) => (Number.isFinite(Number(raw?.[key])) ? Math.max(0, Number(raw[key])) : 0);
+  return {
+    points,
+    streak: count("streak"),
+    bestStreak: count("bestStreak"),
+    movesPlayed: count("movesPlayed"),
+    wrongMoves: count("wrongMoves"),
+    hintsUsed: count("hintsUsed"),
+  };
+}
+
+function normalizeSavedMove(raw) {
+  const square = /^[A-H][1-8]$/;
+  const piece = (p) => (p && PIECE_TYPES.includes(p.type) && ["w", "b"].includes(p.color) ? { type: p.type, color: p.color } : null);
+  if (!raw || !square.test(raw.from) || !square.test(raw.to) || !piece(raw.piece)) return null;
+  return {
+    from: raw.from,
+    to: raw.to,
+    piece: piece(raw.piece),
+    captured: piece(raw.captured),
+    promotion: PROMOTION_CHOICES.includes(raw.promotion) ? raw.promotion : null,
+    check: Boolean(raw.check),
+    mate: Boolean(raw.mate),
+    win: Boolean(raw.win),
+  };
+}
+
+function serializeSavedGame({ size, variant, loadout, opponent, positions, moves, historyIndex }) {
+  return {
+    version: SAVED_GAME_VERSION,
+    savedAt: new Date().toISOString(),
+    size,
+    variant,
+    loadout,
+    opponent,
+    historyIndex,
+    positions: positions.map((p) => ({
+      position: serializePosition(new ChessGame({ board: p.board, turn: p.turn, size })),
+      score: p.score,
+    })),
+    moves,
+  };
+}
+
+function parseSavedGame(data) {
+  if (!data || data.version !== SAVED_GAME_VERSION) return null;
+  const size = Number(data.size);
+  if (!BOARD_SIZES[size]) return null;
+  const variant = VARIANTS[data.variant] ? data.variant : "standard";
+  if (!Array.isArray(data.positions) || data.positions.length === 0) return null;
+  if (!Array.isArray(data.moves) || data.moves.length !== data.positions.length - 1) return null;
+
+  const positions = [];
+  for (const raw of data.positions) {
+    const parsed = parsePosition(raw?.position, variant);
+    if (parsed.error || parsed.size !== size) return null;
+    positions.push({ board: parsed.board, turn: parsed.turn, score: normalizeScore(raw.score) });
+  }
+  const moves = data.moves.map(normalizeSavedMove);
+  if (moves.some((m) => !m)) return null;
+
+  const historyIndex = Number(data.historyIndex);
+  if (!Number.isInteger(historyIndex) || historyIndex < 0 || historyIndex >= positions.length) return null;
+
+  return {
+    size,
+    variant,
+    loadout: normalizeLoadout(data.loadout),
+    opponent: typeof data.opponent === "string" ? data.opponent : "off",
+    positions,
+    moves,
+    historyIndex,
+  };
+}
+
+function loadSavedGame() {
+  try {
+    const saved = parseSavedGame(JSON.parse(localStorage.getItem("chess-saved-game") || "null"));
+    if (!saved) localStorage.removeItem("chess-saved-game");
+    return saved;
+  } catch {
+    localStorage.removeItem("chess-saved-game");
+    return null;
+  }
+}
+
+function saveGame(state) {
+  localStorage.setItem("chess-saved-game", JSON.stringify(serializeSavedGame(state)));
+}
+
+function clearSavedGame() {
+  localStorage.removeItem("chess-saved-game");
+}
+
+function loadOnlineSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem("chess-online") || "null");
+    if (typeof session?.room === "string" && typeof session.token === "string") {
+      return { room: session.room, token: session.token, recorded: session.recorded === true };
+    }
+    localStorage.removeItem("chess-online");
+    return null;
+  } catch {
+    localStorage.removeItem("chess-online");
+    return null;
+  }
+}
+
+function saveOnlineSession(session) {
+  localStorage.setItem("chess-online", JSON.stringify(session));
+}
+
+function clearOnlineSession() {
+  localStorage.removeItem("chess-online");
+}
+
+function setMessage(text, tone = "neutral") {
+  const el = document.getElementById("messageArea");
+  el.textContent = text;
+  if (tone === "danger") {
+    el.style.color = "var(--danger)";
+  } else {
+    el.style.color = "var(--muted)";
+  }
+}
+
+function setScore(score) {
+  document.getElementById("scoreValue").textContent = String(scoreTotal(score));
+  const parts = scoreBreakdown(score).map(({ label, value }) => `${label} ${formatPoints(value)}`);
+  if (score.streak >= 2) parts.push(`Streak ${score.streak} 🔥`);
+  document.getElementById("scoreBreakdown").textContent = parts.join(" · ");
+}
+
+function setTurn(value) {
+  document.getElementById("turnValue").textContent = value;
+}
+
+function resetUIState() {
+  setScore(createScore());
+  setTurn("White");
+  setMessage("Make your move.");
+}
+
+const COMPUTER_DELAY_MS = 700;
+const CLOCK_TICK_MS = 200;
+const LOW_TIME_MS = 20000;
+const ONLINE_RETRY_MS = [1000, 2000, 5000];
+
+const PUZZLES = [
+  {
+    id: "rook-edge",
+    title: "Rook to the edge",
+    position: "k3/4/1K2/3R w 4",
+    target: "Mate in 1",
+    goal: "mate",
+    solution: ["D1-D4"],
+  },
+  {
+    id: "queen-kiss",
+    title: "Queen's kiss",
+    position: "k3/3Q/2K1/4 w 4",
+    target: "Mate in 1",
+    goal: "mate",
+    solution: ["D3-B3"],
+  },
+  {
+    id: "new-queen",
+    title: "A brand new queen",
+    position: "k3/2P1/K3/4 w 4",
+    target: "Mate in 1",
+    goal: "mate",
+    solution: ["C3-C4=Q"],
+  },
+  {
+    id: "knight-fork",
+    title: "Knight fork",
+    position: "q3k/5/5/1N3/2K2 w 5",
+    target: "Win the queen",
+    goal: "capture",
+    solution: ["B2-C4", "E5-E4", "C4-A5"],
+  },
+  {
+    id: "two-rooks",
+    title: "Two rooks, one quiet move",
+    position: "2K1/1R1R/k3/4 w 4",
+    target: "Mate in 2",
+    goal: "mate",
+    solution: ["B3-B4", "A2-A1", "D3-A3"],
+  },
+  {
+    id: "box-the-king",
+    title: "Box the king",
+    position: "4/R3/1k2/2RK w 4",
+    target: "Mate in 2",
+    goal: "mate",
+    solution: ["C1-C3", "B2-B1", "C3-B3"],
+  },
+  {
+    id: "queen-rook-team",
+    title: "Queen and rook team",
+    position: "5/Q4/1K1k1/2R2/5 w 5",
+    target: "Mate in 2",
+    goal: "mate",
+    solution: ["A4-C4", "D3-E3", "C2-E2"],
+  },
+];
+
+function parseSolutionMove(text) {
+  const match = /^([A-Z]\d+)-([A-Z]\d+)(?:=([QRBN]))?$/i.exec(String(text ?? "").trim());
+  if (!match) return null;
+  return {
+    from: match[1].toUpperCase(),
+    to: match[2].toUpperCase(),
+    promotion: match[3] ? normalizePieceType(match[3]) : undefined,
+  };
+}
+
+function loadSolvedPuzzles() {
+  try {
+    const ids = JSON.parse(localStorage.getItem("chess-puzzles-solved") || "[]");
+    return new Set(Array.isArray(ids) ? ids : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function saveSolvedPuzzles(solved) {
+  localStorage.setItem("chess-puzzles-solved", JSON.stringify([...solved]));
+}
+
+function renderPuzzleOptions(selectEl, solved) {
+  const selected = selectEl.value;
+  selectEl.innerHTML = "";
+  PUZZLES.forEach((puzzle, i) => {
+    const option = document.createElement("option");
+    option.value = puzzle.id;
+    option.textContent = `${solved.has(puzzle.id) ? "✓ " : ""}${i + 1}. ${puzzle.title} (${puzzle.target})`;
+    selectEl.appendChild(option);
+  });
+  if (selected) selectEl.value = selected;
+}
+
+const LESSONS = [
+  {
+    id: "king",
+    piece: "k",
+    title: "The King",
+    intro: "The king is slow but important. It moves one square in any direction: up, down, sideways or diagonally.",
+    size: 5,
+    challenges: [
+      { start: "C3", star: "E5", limit: 2 },
+      { start: "A1", apples: ["B2", "C2", "C3"], par: 3 },
+    ],
+  },
+  {
+    id: "rook",
+    piece: "r",
+    title: "The Rook",
+    intro: "The rook moves in straight lines, up, down or sideways, as far as it likes until something is in the way.",
+    size: 5,
+    challenges: [
+      { start: "A1", star: "E5", limit: 2 },
+      { start: "A1", apples: ["A4", "D4", "D1"], par: 3 },
+    ],
+  },
+  {
+    id: "bishop",
+    piece: "b",
+    title: "The Bishop",
+    intro: "The bishop moves diagonally, as far as it likes. It always stays on squares of the same colour.",
+    size: 5,
+    challenges: [
+      { start: "C1", star: "C5", limit: 2 },
+      { start: "A1", apples: ["C3", "B4", "D2"], par: 3 },
+    ],
+  },
+  {
+    id: "queen",
+    piece: "q",
+    title: "The Queen",
+    intro: "The queen is the strongest piece. She moves like a rook and a bishop together: straight or diagonally, as far as she likes.",
+    size: 5,
+    challenges: [
+      { start: "A1", star: "D4", limit: 1 },
+      { start: "C3", apples: ["C5", "E5", "E1", "A1"], par: 4 },
+    ],
+  },
+  {
+    id: "knight",
+    piece: "n",
+    title: "The Knight",
+    intro: "The knight jumps in an L shape: two squares one way, then one square to the side. It can hop over other pieces!",
+    size: 5,
+    challenges: [
+      { start: "A1", star: "D4", limit: 2 },
+      { start: "C3", apples: ["A2", "B4", "D5"], par: 3 },
+    ],
+  },
+  {
+    id: "pawn",
+    piece: "p",
+    title: "The Pawn",
+    intro: "The pawn walks straight forward one square, or two on its very first move. It captures one square diagonally forward.",
+    size: 5,
+    challenges: [
+      { start: "C2", star: "C4", limit: 1 },
+      { start: "B2", apples: ["C3", "D4"], par: 2 },
+    ],
+  },
+];
+
+function lessonPar(lesson) {
+  return lesson.challenges.reduce((sum, c) => sum + (c.limit ?? c.par), 0);
+}
+
+function lessonStars(lesson, movesUsed) {
+  const par = lessonPar(lesson);
+  if (movesUsed <= par) return 3;
+  if (movesUsed <= par + 2) return 2;
+  return 1;
+}
+
+function lessonBoard(apples) {
+  const board = createEmptyBoard();
+  for (const apple of apples) board.set(apple, { type: "p", color: "b" });
+  return board;
+}
+
+function lessonMoves(piece, square, apples, size) {
+  const game = new ChessGame({ board: lessonBoard(apples), turn: piece.color, size });
+  return game.pseudoMovesForPiece(piece, square);
+}
+
+function loadLessonProgress() {
+  try {
+    const data = JSON.parse(localStorage.getItem("chess-lessons") || "{}");
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveLessonProgress(progress) {
+  localStorage.setItem("chess-lessons", JSON.stringify(progress));
+}
+
+function renderLessonOptions(selectEl, progress) {
+  const selected = selectEl.value;
+  selectEl.innerHTML = "";
+  LESSONS.forEach((lesson, i) => {
+    const stars = Number(progress[lesson.id]?.stars) || 0;
+    const option = document.createElement("option");
+    option.value = lesson.id;
+    option.textContent = `${i + 1}. ${lesson.title}${stars ? ` ${"⭐".repeat(stars)}` : ""}`;
+    selectEl.appendChild(option);
+  });
+  if (selected) selectEl.value = selected;
+}
+
+function renderLessonMarkers(boardFrame, challenge, apples) {
+  for (const marker of boardFrame.querySelectorAll(".square__marker")) marker.remove();
+  const markers = apples.map((sq) => [sq, "🍎", "apple"]);
+  if (challenge.star) markers.push([challenge.star, "⭐", "star"]);
+  for (const [square, emoji, label] of markers) {
+    const sqEl = boardFrame.querySelector(`[data-square="${square}"]`);
+    if (!sqEl) continue;
+    const marker = document.createElement("div");
+    marker.className = "square__marker";
+    marker.textContent = emoji;
+    marker.dataset.label = label;
+    marker.setAttribute("aria-hidden", "true");
+    sqEl.appendChild(marker);
+  }
+  updateSquareLabels(boardFrame);
+}
+
+function init() {
+  const boardFrame = document.getElementById("boardFrame");
+  const boardSizeSelect = document.getElementById("boardSizeSelect");
+  const variantSelect = document.getElementById("variantSelect");
+  const loadoutPanel = document.getElementById("loadoutPanel");
+  const mirrorCheck = document.getElementById("mirrorCheck");
+  const symmetricCheck = document.getElementById("symmetricCheck");
+  const startTypeRow = document.getElementById("startTypeRow");
+  const startTypeSelect = document.getElementById("startTypeSelect");
+  const overlayPanel = document.getElementById("overlayPanel");
+  const profileSelect = document.getElementById("profileSelect");
+  const themeSelect = document.getElementById("themeSelect");
+  const opponentSelect = document.getElementById("opponentSelect");
+  const drawLimitSelect = document.getElementById("drawLimitSelect");
+  const clockSelect = document.getElementById("clockSelect");
+  const incrementSelect = document.getElementById("incrementSelect");
+  const flipCheck = document.getElementById("flipCheck");
+  const soundCheck = document.getElementById("soundCheck");
+  const motionCheck = document.getElementById("motionCheck");
+  const clockCard = document.getElementById("clockCard");
+  const clockPauseBtn = document.getElementById("clockPauseBtn");
+  const clockEls = { w: document.getElementById("clockWhite"), b: document.getElementById("clockBlack") };
+  const modeSelect = document.getElementById("modeSelect");
+  const puzzleRow = document.getElementById("puzzleRow");
+  const puzzleSelect = document.getElementById("puzzleSelect");
+  const lessonRow = document.getElementById("lessonRow");
+  const reviewPanel = document.getElementById("reviewPanel");
+  const reviewNote = document.getElementById("reviewNote");
+  const reviewPrevBtn = document.getElementById("reviewPrevBtn");
+  const reviewNextBtn = document.getElementById("reviewNextBtn");
+  const reviewMistakeBtn = document.getElementById("reviewMistakeBtn");
+  const lessonSelect = document.getElementById("lessonSelect");
+  const historySection = document.getElementById("historySection");
+  const historyList = document.getElementById("historyList");
+  const editorPanel = document.getElementById("editorPanel");
+  const editorPalette = document.getElementById("editorPalette");
+  const editorTurnSelect = document.getElementById("editorTurnSelect");
+  const editorStartBtn = document.getElementById("editorStartBtn");
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const onlinePanel = document.getElementById("onlinePanel");
+  const onlineCreateBtn = document.getElementById("onlineCreateBtn");
+  const onlineCodeInput = document.getElementById("onlineCodeInput");
+  const onlineJoinBtn = document.getElementById("onlineJoinBtn");
+  const onlineLeaveBtn = document.getElementById("onlineLeaveBtn");
+  const onlineStatus = document.getElementById("onlineStatus");
+  const hintBtn = document.getElementById("hintBtn");
+  const positionInput = document.getElementById("positionInput");
+  const loadPositionBtn = document.getElementById("loadPositionBtn");
+
+  const applyTheme = (theme) => {
+    document.documentElement.setAttribute("data-theme", theme);
+    localStorage.setItem("chess-theme", theme);
+  };
+
+  const savedTheme = localStorage.getItem("chess-theme") || "dark";
+  themeSelect.value = savedTheme;
+  applyTheme(savedTheme);
+
+  themeSelect.addEventListener("change", () => {
+    applyTheme(themeSelect.value);
+  });
+
+  const savedOpponent = localStorage.getItem("chess-opponent") || "off";
+  opponentSelect.value = savedOpponent;
+  if (!opponentSelect.value) opponentSelect.value = "off";
+
+  opponentSelect.addEventListener("change", () => {
+    localStorage.setItem("chess-opponent", opponentSelect.value);
+    if (isEditing()) {
+      renderEditor();
+      return;
+    }
+    resetClock();
+    startClock();
+    render();
+    scheduleComputerMove();
+  });
+
+  drawLimitSelect.value = localStorage.getItem("chess-draw-limit") || "auto";
+  if (!drawLimitSelect.value) drawLimitSelect.value = "auto";
+
+  drawLimitSelect.addEventListener("change", () => {
+    localStorage.setItem("chess-draw-limit", drawLimitSelect.value);
+    if (isEditing()) {
+      renderEditor();
+      return;
+    }
+    render();
+  });
+
+  clockSelect.value = localStorage.getItem("chess-clock") || "off";
+  if (!clockSelect.value) clockSelect.value = "off";
+  incrementSelect.value = localStorage.getItem("chess-clock-increment") || "0";
+  if (!incrementSelect.value) incrementSelect.value = "0";
+  flipCheck.checked = localStorage.getItem("chess-flip-board") === "true";
+
+  const playSoundEffect = createSoundPlayer();
+  const prefersReducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+  soundCheck.checked = localStorage.getItem("chess-sound") !== "false";
+  const savedMotion = localStorage.getItem("chess-reduced-motion");
+  motionCheck.checked = savedMotion === null ? prefersReducedMotion : savedMotion === "true";
+
+  const applyMotion = () => {
+    document.documentElement.toggleAttribute("data-reduced-motion", motionCheck.checked);
+  };
+  applyMotion();
+
+  soundCheck.addEventListener("change", () => {
+    localStorage.setItem("chess-sound", String(soundCheck.checked));
+  });
+
+  motionCheck.addEventListener("change", () => {
+    localStorage.setItem("chess-reduced-motion", String(motionCheck.checked));
+    applyMotion();
+  });
+
+  const playSound = (name) => {
+    if (soundCheck.checked) playSoundEffect(name);
+  };
+
+  const showMove = (move, animate = true) => {
+    if (animate && !motionCheck.checked) animateMove(boardFrame, move);
+    playSound(moveSound(move));
+  };
+
+  let clock = null;
+  let clockTimer = null;
+
+  const stopClock = () => {
+    if (clockTimer === null) return;
+    clearInterval(clockTimer);
+    clockTimer = null;
+  };
+
+  const renderClock = () => {
+    clockCard.hidden = !clock;
+    if (!clock) return;
+    for (const color of ["w", "b"]) {
+      const el = clockEls[color];
+      el.textContent = formatClock(clock.remaining[color]);
+      el.classList.toggle("clock--active", clockTimer !== null && current.turn === color);
+      el.classList.toggle("clock--low", clock.remaining[color] <= LOW_TIME_MS);
+    }
+    clockPauseBtn.textContent = clock.paused ? "Resume" : "Pause";
+    clockPauseBtn.disabled = clock.remaining.w <= 0 || clock.remaining.b <= 0;
+  };
+
+  const tickClock = () => {
+    const now = Date.now();
+    const color = current.turn;
+    clock.remaining[color] -= now - clock.lastTick;
+    clock.lastTick = now;
+    if (clock.remaining[color] <= LOW_TIME_MS && !clock.warned[color] && clock.remaining[color] > 0) {
+      clock.warned[color] = true;
+      setMessage(`${color === "w" ? "White" : "Black"} is running low on time!`, "danger");
+    }
+    if (clock.remaining[color] <= 0) {
+      clock.remaining[color] = 0;
+      stopClock();
+      renderClock();
+      const winner = oppositeColor(color);
+      finishGame(
+        "Time's up!",
+        `${color === "w" ? "White" : "Black"} ran out of time. ${winner === "w" ? "White" : "Black"} wins!`,
+        winner,
+      );
+      return;
+    }
+    renderClock();
+  };
+
+  const startClock = () => {
+    stopClock();
+    if (!clock || clock.paused || clock.remaining.w <= 0 || clock.remaining.b <= 0) return;
+    clock.lastTick = Date.now();
+    clockTimer = setInterval(tickClock, CLOCK_TICK_MS);
+    renderClock();
+  };
+
+  const resetClock = () => {
+    stopClock();
+    const limit = Number(clockSelect.value);
+    const timed = limit > 0 && opponentSelect.value === "off";
+    clock = timed && !activePuzzle && !activeLesson && !isEditing() && !isOnlineMode()
+      ? {
+          remaining: { w: limit * 1000, b: limit * 1000 },
+          increment: Number(incrementSelect.value) * 1000,
+          paused: false,
+          lastTick: 0,
+          warned: { w: false, b: false },
+        }
+      : null;
+    renderClock();
+  };
+
+  const toggleClockPause = () => {
+    if (!clock || (clockTimer === null && !clock.paused)) return;
+    if (clock.paused) {
+      clock.paused = false;
+      startClock();
+      setMessage("Clock running. Your move!");
+    } else {
+      tickClock();
+      clock.paused = true;
+      stopClock();
+      setMessage("Clock paused. Press Resume to keep playing.");
+    }
+    renderClock();
+  };
+
+  for (const select of [clockSelect, incrementSelect]) {
+    select.addEventListener("change", () => {
+      localStorage.setItem("chess-clock", clockSelect.value);
+      localStorage.setItem("chess-clock-increment", incrementSelect.value);
+      resetClock();
+      startClock();
+    });
+  }
+
+  flipCheck.addEventListener("change", () => {
+    localStorage.setItem("chess-flip-board", String(flipCheck.checked));
+    if (isEditing()) {
+      renderEditor();
+      return;
+    }
+    selectedSquare = null;
+    render();
+  });
+
+  clockPauseBtn.addEventListener("click", toggleClockPause);
+
+  let loadout = loadLoadout();
+
+  renderLoadoutInputs(document.getElementById("loadoutWhite"), "w");
+  renderLoadoutInputs(document.getElementById("loadoutBlack"), "b");
+
+  const syncLoadoutControls = () => {
+    for (const input of loadoutPanel.querySelectorAll(".loadout__input")) {
+      const counts = loadout.mirror ? loadout.w : loadout[input.dataset.color];
+      input.value = String(counts[input.dataset.type]);
+      input.disabled = loadout.mirror && input.dataset.color === "b";
+    }
+    mirrorCheck.checked = loadout.mirror;
+    symmetricCheck.checked = loadout.symmetric;
+    symmetricCheck.disabled = !loadout.mirror;
+  };
+
+  const updateLoadout = (next) => {
+    loadout = normalizeLoadout(next);
+    if (!loadout.mirror) loadout.symmetric = false;
+    saveLoadout(loadout);
+    syncLoadoutControls();
+    startNewGame();
+  };
+
+  const syncSizeControls = () => {
+    startTypeRow.style.display = boardSizeSelect.value === "8" ? "grid" : "none";
+  };
+
+  const startFromPosition = ({ board, turn, size, variant = "standard" }) => {
+    const variantError = variantStartError(variant, board, size);
+    if (variantError) {
+      variant = "standard";
+      variantSelect.value = variant;
+      localStorage.setItem("chess-variant", variant);
+    }
+    cancelComputerMove();
+    closeReview();
+    activeLesson = null;
+    closeModals();
+    boardSizeSelect.value = String(size);
+    syncSizeControls();
+    boardSize = size;
+    createBoardFrame(boardFrame, size);
+    score = createScore();
+    hint = null;
+    resultRecorded = false;
+    current = new ChessGame({ board, turn, size, variant });
+    selectedSquare = null;
+    clearHighlights(boardFrame);
+    resetHistory();
+    autosave();
+    resetUIState();
+    resetClock();
+    if (variantError) render(`${variantError} Playing classic rules instead.`);
+    else render(current.variant === "standard" ? undefined : VARIANTS[current.variant].description);
+    startClock();
+    scheduleComputerMove();
+  };
+
+  const startNewGame = () => {
+    activePuzzle = null;
+    leaveOnline();
+    if (modeSelect.value !== "free" && !isOnlineMode()) setMode("free");
+    const size = Number(boardSizeSelect.value);
+    const variant = variantSelect.value;
+    if (size === 8 && startTypeSelect.value === "standard") {
+      startFromPosition({ ...parsePosition(STANDARD_POSITION), variant });
+      return;
+    }
+    const result = generateStartingPosition(loadoutPieces(loadout), {
+      turn: "w",
+      symmetric: loadout.symmetric,
+      size,
+      variant,
+    });
+    if (result.error && positions.length === 0) {
+      startDefaultGame(result.error);
+      return;
+    }
+    if (result.error) {
+      boardSizeSelect.value = String(boardSize);
+      syncSizeControls();
+      setMessage(`Can't start a new game: ${result.error}`, "danger");
+      return;
+    }
+    startFromPosition({ ...result, variant });
+  };
+
+  // Used when the saved setup can't make a game on first load, so there is always a board.
+  const startDefaultGame = (error) => {
+    loadout = normalizeLoadout(DEFAULT_LOADOUT);
+    saveLoadout(loadout);
+    syncLoadoutControls();
+    variantSelect.value = "standard";
+    localStorage.setItem("chess-variant", variantSelect.value);
+    boardSizeSelect.value = String(DEFAULT_SIZE);
+    syncSizeControls();
+    const result = generateStartingPosition(loadoutPieces(loadout), { turn: "w", size: DEFAULT_SIZE });
+    startFromPosition({ ...result, variant: "standard" });
+    setMessage(`The saved setup couldn't start a game, so here is a fresh one. ${error}`, "danger");
+  };
+
+  boardSizeSelect.addEventListener("change", () => {
+    if (isEditing()) {
+      resizeEditor();
+      return;
+    }
+    startNewGame();
+  });
+
+  startTypeSelect.addEventListener("change", startNewGame);
+
+  variantSelect.value = localStorage.getItem("chess-variant") || "standard";
+  if (!variantSelect.value) variantSelect.value = "standard";
+
+  variantSelect.addEventListener("change", () => {
+    localStorage.setItem("chess-variant", variantSelect.value);
+    if (isEditing()) {
+      renderEditor();
+      return;
+    }
+    const { size } = VARIANTS[variantSelect.value];
+    if (size) {
+      boardSizeSelect.value = String(size);
+      syncSizeControls();
+    }
+    startNewGame();
+  });
+
+  loadoutPanel.addEventListener("change", (e) => {
+    const input = e.target.closest(".loadout__input");
+    if (!input) return;
+    const next = { ...loadout, w: { ...loadout.w }, b: { ...loadout.b } };
+    next[input.dataset.color][input.dataset.type] = Number(input.value);
+    updateLoadout(next);
+  });
+
+  mirrorCheck.addEventListener("change", () => {
+    updateLoadout({ ...loadout, b: loadout.mirror ? { ...loadout.w } : loadout.b, mirror: mirrorCheck.checked });
+  });
+
+  symmetricCheck.addEventListener("change", () => {
+    updateLoadout({ ...loadout, symmetric: symmetricCheck.checked });
+  });
+
+  syncLoadoutControls();
+
+  let score = createScore();
+  let boardSize = DEFAULT_SIZE;
+  let current = new ChessGame({ board: createEmptyBoard(), turn: "w", size: boardSize });
+
+  let selectedSquare = null;
+  let computerTimer = null;
+  let moves = [];
+  let positions = [];
+  let historyIndex = 0;
+  let activePuzzle = null;
+  const solvedPuzzles = loadSolvedPuzzles();
+  let editorBoard = createEmptyBoard();
+  let editorTool = null;
+  let suppressClick = false;
+  let focusSquare = null;
+  let activeLesson = null;
+  let review = null;
+  let lessonProgress = loadLessonProgress();
+  let hint = null;
+  let profiles = loadProfiles();
+  let resultRecorded = false;
+  let gameOverShown = false;
+  let online = null;
+
+  const snapshot = () => ({ board: cloneBoard(current.board), turn: current.turn, score });
+
+  const resetHistory = () => {
+    moves = [];
+    positions = [snapshot()];
+    historyIndex = 0;
+    gameOverShown = false;
+  };
+
+  const recordMove = (move) => {
+    moves = moves.slice(0, historyIndex);
+    positions = positions.slice(0, historyIndex + 1);
+    moves.push(move);
+    positions.push(snapshot());
+    historyIndex = moves.length;
+    autosave();
+  };
+
+  const autosave = () => {
+    if (activePuzzle || activeLesson || isEditing() || isOnlineMode()) return;
+    saveGame({
+      size: current.size,
+      variant: current.variant,
+      loadout,
+      opponent: opponentSelect.value,
+      positions,
+      moves,
+      historyIndex,
+    });
+  };
+
+  const restoreGame = (saved) => {
+    loadout = saved.loadout;
+    syncLoadoutControls();
+    opponentSelect.value = saved.opponent;
+    if (!opponentSelect.value) opponentSelect.value = "off";
+    variantSelect.value = saved.variant;
+    boardSizeSelect.value = String(saved.size);
+    syncSizeControls();
+    boardSize = saved.size;
+    createBoardFrame(boardFrame, boardSize);
+    positions = saved.positions;
+    moves = saved.moves;
+    historyIndex = saved.historyIndex;
+    gameOverShown = false;
+    const position = positions[historyIndex];
+    current = new ChessGame({ board: cloneBoard(position.board), turn: position.turn, size: saved.size, variant: saved.variant });
+    score = position.score;
+    selectedSquare = null;
+    hint = null;
+    resultRecorded = false;
+    resetClock();
+    render();
+  };
+
+  const goToPosition = (index) => {
+    if (index < 0 || index >= positions.length || isOnlineMode()) return;
+    cancelComputerMove();
+    closeModals();
+    const position = positions[index];
+    current.board = cloneBoard(position.board);
+    current.turn = position.turn;
+    score = position.score;
+    historyIndex = index;
+    gameOverShown = false;
+    autosave();
+    selectedSquare = null;
+    hint = null;
+    clearHint(boardFrame);
+    clearHighlights(boardFrame);
+    if (clock && (clock.remaining.w <= 0 || clock.remaining.b <= 0)) resetClock();
+    render();
+    startClock();
+    scheduleComputerMove();
+  };
+
+  const isComputerTurnAt = (index) => isComputerSide(positions[index].turn);
+
+  const stepHistory = (direction) => {
+    let index = historyIndex + direction;
+    while (index > 0 && index < positions.length - 1 && isComputerTurnAt(index)) index += direction;
+    goToPosition(index);
+  };
+
+  const commitMove = (from, to, promotion, scoreFn) => {
+    const piece = current.getPieceAt(from);
+    const captured = current.getPieceAt(to);
+    const promoting = current.isPromotion(from, to);
+    hint = null;
+    clearHint(boardFrame);
+    current.board = current.applyMove(current.board, from, to, promotion);
+    current.turn = oppositeColor(current.turn);
+    const move = {
+      from,
+      to,
+      piece: { ...piece },
+      captured: captured ? { ...captured } : null,
+      promotion: promoting ? normalizePieceType(promotion ?? "q") : null,
+      check: current.isCheck(current.turn),
+      mate: current.isCheckmate(current.turn),
+      win: current.outcome()?.winner === piece.color,
+    };
+    if (scoreFn) score = scoreFn(score, move);
+    if (clock && clockTimer !== null) {
+      const now = Date.now();
+      clock.remaining[piece.color] += clock.increment - (now - clock.lastTick);
+      clock.lastTick = now;
+    }
+    recordMove(move);
+    return move;
+  };
+
+  const isComputerSide = (turn) => {
+    if (isOnlineMode()) return false;
+    if (activePuzzle) return turn !== activePuzzle.side;
+    return opponentSelect.value !== "off" && turn === "b";
+  };
+
+  const isComputerTurn = () => isComputerSide(current.turn);
+
+  const isFriendTurn = () => isOnlineMode() && !(online?.connected && online.color === current.turn);
+
+  const cancelComputerMove = () => {
+    if (computerTimer === null) return;
+    clearTimeout(computerTimer);
+    computerTimer = null;
+  };
+
+  const scheduleComputerMove = () => {
+    cancelComputerMove();
+    if (activeLesson) return;
+    if (!isComputerTurn()) return;
+    if (activePuzzle && historyIndex >= activePuzzle.solution.length) return;
+    if (current.outcome()) return;
+    if (currentDraw()) return;
+    selectedSquare = null;
+    clearHighlights(boardFrame);
+    setMessage("Computer is thinking...");
+    computerTimer = setTimeout(() => {
+      computerTimer = null;
+      const move = activePuzzle
+        ? parseSolutionMove(activePuzzle.solution[historyIndex])
+        : chooseComputerMove(current, current.turn, Number(opponentSelect.value));
+      if (!move) return;
+      const played = commitMove(move.from, move.to, move.promotion);
+      render(`Computer: ${describeMove(played)}. Your move!`);
+      showMove(played);
+    }, COMPUTER_DELAY_MS);
+  };
+
+  const getOverlays = () => {
+    const overlays = {};
+    for (const input of overlayPanel.querySelectorAll("input[type=checkbox]")) {
+      overlays[input.dataset.overlay] = input.checked;
+    }
+    return overlays;
+  };
+
+  const currentDraw = () => {
+    if (activePuzzle) return null;
+    return detectDraw(positions, moves, historyIndex, resolveMoveLimit(drawLimitSelect.value, current.size), current.variant);
+  };
+
+  const finishGame = (title, body, winner) => {
+    if (activePuzzle) return;
+    setMessage(`${title} ${body}`);
+    if (gameOverShown || (isOnlineMode() && resultRecorded)) return;
+    gameOverShown = true;
+    stopClock();
+    renderClock();
+    recordResult(winner);
+    clearSavedGame();
+    const actions = [
+      ...(isOnlineMode() ? [] : [undoAction]),
+      ...(moves.length > 0 ? [{ label: "Review game", onClick: startReview }] : []),
+    ];
+    showModal(title, `${body}${formatScoreSummary(score)}`, () => {
+      resetBtn.click();
+    }, actions);
+  };
+
+  const showReviewStep = (index) => {
+    review.index = index;
+    const flag = index > 0 ? review.flags[index - 1] : null;
+    // Mistakes are shown on the board before the move, where the better move can be played.
+    const position = positions[flag ? index - 1 : index];
+    renderPieces(boardFrame, position.board);
+    clearHighlights(boardFrame);
+    clearOverlays(boardFrame);
+    clearHint(boardFrame);
+    clearArrows(boardFrame);
+    setTurn(position.turn === "w" ? "White" : "Black");
+    reviewPrevBtn.disabled = index === 0;
+    reviewNextBtn.disabled = index >= moves.length;
+    reviewMistakeBtn.disabled = !review.flags.some((flag, i) => flag && i >= index);
+
+    if (index === 0) {
+      const count = review.flags.filter(Boolean).length;
+      reviewNote.textContent = count
+        ? `Let's look at the game again. There ${count === 1 ? "is 1 move" : `are ${count} moves`} we can learn from.`
+        : "Let's look at the game again. No big mistakes found, great playing!";
+      return;
+    }
+    const move = moves[index - 1];
+    drawArrow(boardFrame, move.from, move.to, flag ? "bad" : "good");
+    if (flag) drawArrow(boardFrame, flag.better.from, flag.better.to, "good");
+    reviewNote.textContent = `Move ${index}: ${describeMove(move)}. ${flag ? flag.text : ""}`.trim();
+  };
+
+  const startReview = () => {
+    cancelComputerMove();
+    closeModals();
+    stopClock();
+    selectedSquare = null;
+    setMessage("Looking back at your game...");
+    const reviewed = moves;
+    const colors = opponentSelect.value === "off" ? ["w", "b"] : ["w"];
+    setTimeout(() => {
+      if (moves !== reviewed) return;
+      review = { index: 0, flags: reviewGame(positions, moves, colors, current.size, current.variant) };
+      historySection.hidden = true;
+      reviewPanel.hidden = false;
+      setMessage("Reviewing the game. Red arrows show mistakes, green arrows show a better idea.");
+      showReviewStep(0);
+    }, 0);
+  };
+
+  const closeReview = () => {
+    if (!review) return;
+    review = null;
+    reviewPanel.hidden = true;
+    clearArrows(boardFrame);
+    syncModeControls();
+  };
+
+  const endReview = () => {
+    closeReview();
+    render();
+  };
+
+  const boardOrientation = () => {
+    if (isOnlineMode()) return online?.color ?? "w";
+    if (!flipCheck.checked || opponentSelect.value !== "off" || activePuzzle) return "w";
+    return current.turn;
+  };
+
+  const syncFocusSquare = (focus = false) => {
+    if (!parseSquare(focusSquare, boardSize)) focusSquare = toSquare(0, 1, boardSize);
+    for (const sqEl of boardFrame.querySelectorAll(".square")) {
+      sqEl.tabIndex = sqEl.dataset.square === focusSquare ? 0 : -1;
+      if (focus && sqEl.dataset.square === focusSquare) sqEl.focus();
+    }
+  };
+
+  const moveFocus = (key) => {
+    const pos = parseSquare(focusSquare, boardSize);
+    const sign = boardFrame.dataset.orientation === "b" ? -1 : 1;
+    const steps = {
+      ArrowLeft: [-sign, 0],
+      ArrowRight: [sign, 0],
+      ArrowUp: [0, sign],
+      ArrowDown: [0, -sign],
+    };
+    const [df, dr] = steps[key];
+    const next = toSquare(pos.fileIndex + df, pos.rank + dr, boardSize);
+    if (!next) return;
+    focusSquare = next;
+    syncFocusSquare(true);
+  };
+
+  const render = (note = activePuzzle ? `${activePuzzle.target}: find the best move!` : "Make your move.") => {
+    if (activeLesson) {
+      renderLesson();
+      return;
+    }
+    if (review) {
+      showReviewStep(review.index);
+      return;
+    }
+    const orientation = boardOrientation();
+    let refocus = false;
+    if (boardFrame.dataset.orientation !== orientation) {
+      refocus = boardFrame.contains(document.activeElement);
+      createBoardFrame(boardFrame, boardSize, orientation);
+    }
+    syncFocusSquare(refocus);
+    renderPieces(boardFrame, current.board);
+    renderOverlays(boardFrame, current, getOverlays());
+    renderHistory(historyList, moves, historyIndex, positions[0].turn);
+    undoBtn.disabled = historyIndex === 0 || isOnlineMode();
+    redoBtn.disabled = historyIndex >= moves.length || isOnlineMode();
+    setScore(score);
+    setTurn(current.turn === "w" ? "White" : "Black");
+    renderClock();
+
+    const outcome = current.outcome();
+    if (outcome) {
+      finishGame(outcome.title, outcome.body, outcome.winner);
+      return;
+    }
+    const draw = currentDraw();
+    if (draw) {
+      finishGame(draw.title, draw.body, null);
+      return;
+    }
+    if (current.isCheck(current.turn)) {
+      setMessage(`${note} ${current.turn === "w" ? "White" : "Black"} is in check!`);
+      return;
+    }
+    setMessage(note);
+  };
+
+  const handleSquareClick = (square) => {
+    if (review || isComputerTurn()) return;
+    if (isFriendTurn()) {
+      const reason = online?.connected
+        ? "Wait for your friend's move."
+        : online?.room
+          ? "Reconnecting to your friend's game..."
+          : "Make or join a room to play online.";
+      setMessage(reason);
+      return;
+    }
+    if (clock?.paused) {
+      setMessage("The clock is paused. Press Resume to keep playing.");
+      return;
+    }
+    const piece = current.getPieceAt(square);
+
+    if (selectedSquare === null || (piece && piece.color === current.turn && selectedSquare !== square)) {
+      if (!piece || piece.color !== current.turn) {
+        clearHighlights(boardFrame);
+        return;
+      }
+      selectedSquare = square;
+      const legal = current.getLegalMoves(piece, square);
+      highlightLegalMoves(boardFrame, square, legal, current.board);
+      return;
+    }
+
+    if (selectedSquare === square) {
+      selectedSquare = null;
+      clearHighlights(boardFrame);
+      return;
+    }
+
+    tryMove(selectedSquare, square);
+  };
+
+  const tryMove = (from, to, animate = true) => {
+    const movingPiece = current.getPieceAt(from);
+    if (!movingPiece || movingPiece.color !== current.turn) {
+      selectedSquare = null;
+      clearHighlights(boardFrame);
+      return;
+    }
+
+    const legal = current.getLegalMoves(movingPiece, from);
+    if (!legal.includes(to)) {
+      showWrongMove(to, "Wrong Move! Try again.");
+      return;
+    }
+
+    selectedSquare = null;
+    clearHighlights(boardFrame);
+    if (current.isPromotion(from, to)) {
+      showPromotionPicker(current.turn, (type) => playMove(from, to, type, animate));
+      return;
+    }
+    playMove(from, to, undefined, animate);
+  };
+
+  const beginPieceDrag = (e, from) => {
+    const piece = current.getPieceAt(from);
+    if (!piece || piece.color !== current.turn || isComputerTurn() || isFriendTurn() || clock?.paused) return;
+    const img = boardFrame.querySelector(`[data-square="${from}"] img.piece`);
+    e.preventDefault();
+    beginPointerDrag(e, getPieceAssetPath(pieceName(piece.type), piece.color), {
+      onStart: () => {
+        selectedSquare = from;
+        highlightLegalMoves(boardFrame, from, current.getLegalMoves(piece, from), current.board);
+        if (img) img.classList.add("piece--dragging");
+      },
+      onDrop: (square) => {
+        endDrag();
+        if (img) img.classList.remove("piece--dragging");
+        if (square === from) return;
+        if (!square) {
+          selectedSquare = null;
+          clearHighlights(boardFrame);
+          return;
+        }
+        tryMove(from, square, false);
+      },
+    });
+  };
+
+  const showWrongMove = (square, text) => {
+    playSound("wrong");
+    score = scoreWrongMove(score);
+    setScore(score);
+    const sqEl = boardFrame.querySelector(`[data-square="${square}"]`);
+    if (sqEl) {
+      sqEl.classList.add("square--wrong");
+      setTimeout(() => sqEl.classList.remove("square--wrong"), 400);
+    }
+    setMessage(text, "danger");
+  };
+
+  const isPuzzleMove = (from, to, promotion) => {
+    const expected = parseSolutionMove(activePuzzle.solution[historyIndex]);
+    if (expected && expected.from === from && expected.to === to) {
+      if (!expected.promotion || expected.promotion === normalizePieceType(promotion ?? "q")) return true;
+    }
+    if (activePuzzle.goal !== "mate") return false;
+    const next = current.applyMove(current.board, from, to, promotion);
+    return current.isCheckmate(oppositeColor(current.turn), next);
+  };
+
+  const playMove = (from, to, promotion, animate = true) => {
+    if (activePuzzle && !isPuzzleMove(from, to, promotion)) {
+      showWrongMove(to, "Good try, but that's not the answer. Try again!");
+      return;
+    }
+    const move = commitMove(from, to, promotion, scoreMove);
+    if (online) sendOnline({ type: "move", ply: historyIndex - 1, from, to, promotion: move.promotion });
+    render(`${describeMove(move)}. ${current.turn === "w" ? "White" : "Black"} to move.`);
+    showMove(move, animate);
+    showCelebration(boardFrame, to);
+    if (activePuzzle && (move.mate || historyIndex >= activePuzzle.solution.length)) {
+      solvePuzzle();
+      return;
+    }
+    scheduleComputerMove();
+  };
+
+  const isEditing = () => modeSelect.value === "setup";
+
+  const isLessonMode = () => modeSelect.value === "lessons";
+
+  const isOnlineMode = () => modeSelect.value === "online";
+
+  const syncModeControls = () => {
+    const puzzleMode = modeSelect.value === "puzzle";
+    const lessonMode = isLessonMode();
+    const editing = isEditing();
+    puzzleRow.style.display = puzzleMode ? "grid" : "none";
+    lessonRow.style.display = lessonMode ? "grid" : "none";
+    editorPanel.hidden = !editing;
+    onlinePanel.hidden = !isOnlineMode();
+    historySection.hidden = editing || lessonMode;
+    boardFrame.classList.toggle("board-frame--editing", editing);
+    const locked = settingsLocked();
+    for (const control of [boardSizeSelect, variantSelect]) {
+      control.disabled = puzzleMode || lessonMode || Boolean(online) || locked;
+    }
+    for (const control of [startTypeSelect, loadoutPanel]) {
+      control.disabled = puzzleMode || lessonMode || editing || Boolean(online) || locked;
+    }
+    opponentSelect.disabled = puzzleMode || lessonMode || isOnlineMode() || locked;
+    for (const control of [clockSelect, incrementSelect]) {
+      control.disabled = puzzleMode || lessonMode || editing || locked;
+    }
+    for (const control of [modeSelect, soundCheck, profileSelect, positionInput, loadPositionBtn]) {
+      control.disabled = locked;
+    }
+    hintBtn.disabled = !lessonMode && !hintsAllowed();
+  };
+
+  const setMode = (mode) => {
+    if (mode !== "online") leaveOnline();
+    modeSelect.value = mode;
+    syncModeControls();
+  };
+
+  const renderOnline = () => {
+    const inRoom = Boolean(online?.room);
+    onlineCreateBtn.disabled = Boolean(online);
+    onlineJoinBtn.disabled = Boolean(online);
+    onlineCodeInput.disabled = Boolean(online);
+    onlineLeaveBtn.hidden = !online;
+    if (!online) {
+      onlineStatus.textContent = "";
+    } else if (!online.connected) {
+      onlineStatus.textContent = inRoom ? `Lost the connection to room ${online.room}. Trying again...` : "Connecting...";
+    } else {
+      const side = online.color === "w" ? "White" : "Black";
+      const friend = online.opponent
+        ? "Your friend is here."
+        : online.opponentLeft
+          ? "Your friend left the room."
+          : "Waiting for your friend...";
+      onlineStatus.textContent = `Room ${online.room}: you play ${side}. ${friend}`;
+    }
+    syncModeControls();
+  };
+
+  const sendOnline = (message) => {
+    if (online?.socket?.readyState === WebSocket.OPEN) online.socket.send(JSON.stringify(message));
+  };
+
+  const leaveOnline = () => {
+    if (!online) return;
+    const { socket, retryTimer } = online;
+    online = null;
+    clearTimeout(retryTimer);
+    clearOnlineSession();
+    if (socket) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: "leave" }));
+      socket.close();
+    }
+    renderOnline();
+  };
+
+  const isLegalOnlineMove = ({ from, to, promotion }) => {
+    const piece = current.getPieceAt(from);
+    return (
+      piece?.color === current.turn &&
+      !current.outcome() &&
+      current.getLegalMoves(piece, from).includes(to) &&
+      (promotion == null || PROMOTION_CHOICES.includes(promotion))
+    );
+  };
+
+  const applyOnlineState = (state) => {
+    const position = parsePosition(state.start, state.variant);
+    if (position.error || !VARIANTS[state.variant]) {
+      leaveOnline();
+      setMessage("That online game couldn't be loaded.", "danger");
+      return;
+    }
+    Object.assign(online, {
+      room: state.room,
+      color: state.color,
+      token: state.token,
+      connected: true,
+      opponent: state.opponent,
+      opponentLeft: false,
+      retries: 0,
+    });
+    const previous = loadOnlineSession();
+    const recorded = previous?.room === state.room && previous.token === state.token && previous.recorded;
+    saveOnlineSession({ room: state.room, token: state.token, recorded });
+    variantSelect.value = state.variant;
+    startFromPosition({ ...position, variant: state.variant });
+    for (const move of state.moves) {
+      if (!isLegalOnlineMove(move)) break;
+      commitMove(move.from, move.to, move.promotion ?? undefined, current.turn === online.color ? scoreMove : null);
+    }
+    resultRecorded = recorded;
+    renderOnline();
+    render(current.turn === online.color ? "Your move!" : "Waiting for your friend's move...");
+  };
+
+  const receiveOnlineMove = (message) => {
+    if (message.ply !== historyIndex || current.turn === online.color || !isLegalOnlineMove(message)) {
+      sendOnline({ type: "sync" });
+      return;
+    }
+    const played = commitMove(message.from, message.to, message.promotion ?? undefined);
+    render(`Your friend: ${describeMove(played)}. Your move!`);
+    showMove(played);
+  };
+
+  const handleOnlineMessage = (message) => {
+    if (message.type === "sync") {
+      applyOnlineState(message);
+    } else if (message.type === "move") {
+      receiveOnlineMove(message);
+    } else if (message.type === "opponent") {
+      online.opponent = message.connected;
+      online.opponentLeft = message.left;
+      renderOnline();
+    } else if (message.type === "error") {
+      if (!online.connected || message.code === "gone") leaveOnline();
+      setMessage(message.message, "danger");
+    }
+  };
+
+  const connectOnline = (hello) => {
+    const socket = new WebSocket(`${location.protocol === "https:" ? "wss" : "ws"}://${location.host}`);
+    online.socket = socket;
+    socket.addEventListener("open", () => socket.send(JSON.stringify(hello())));
+    socket.addEventListener("message", (e) => {
+      if (online?.socket !== socket) return;
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      handleOnlineMessage(message);
+    });
+    socket.addEventListener("close", () => {
+      if (online?.socket !== socket) return;
+      online.socket = null;
+      online.connected = false;
+      if (!online.room) {
+        leaveOnline();
+        setMessage("Can't reach the game server. Start it with \"npm start\" and open the address it shows.", "danger");
+        return;
+      }
+      renderOnline();
+      const delay = ONLINE_RETRY_MS[Math.min(online.retries, ONLINE_RETRY_MS.length - 1)];
+      online.retries += 1;
+      online.retryTimer = setTimeout(() => {
+        connectOnline(() => ({ type: "resume", room: online.room, token: online.token }));
+      }, delay);
+    });
+  };
+
+  const goOnline = (session, hello) => {
+    leaveOnline();
+    online = {
+      socket: null,
+      room: session?.room ?? null,
+      color: null,
+      token: session?.token ?? null,
+      connected: false,
+      opponent: false,
+      opponentLeft: false,
+      retries: 0,
+      retryTimer: null,
+    };
+    renderOnline();
+    connectOnline(hello);
+  };
+
+  const resumeOnline = (session) => {
+    goOnline(session, () => ({ type: "resume", room: online.room, token: online.token }));
+  };
+
+  const renderEditor = () => {
+    renderPieces(boardFrame, editorBoard);
+    const turn = editorTurnSelect.value;
+    setTurn(turn === "w" ? "White" : "Black");
+    let error = validatePosition(editorBoard, turn, boardSize, variantSelect.value);
+    error ??= variantStartError(variantSelect.value, editorBoard, boardSize);
+    if (!error) {
+      const game = new ChessGame({ board: editorBoard, turn, size: boardSize, variant: variantSelect.value });
+      if (game.isCheckmate(turn)) error = `${turn === "w" ? "White" : "Black"} is already checkmated.`;
+      else if (game.isStalemate(turn)) error = `${turn === "w" ? "White" : "Black"} has no moves (stalemate).`;
+    }
+    editorStartBtn.disabled = Boolean(error);
+    setMessage(error ?? "Looks good! Press \"Start from here\" to play.");
+    syncFocusSquare();
+  };
+
+  const enterEditor = () => {
+    cancelComputerMove();
+    closeModals();
+    activePuzzle = null;
+    activeLesson = null;
+    closeReview();
+    stopClock();
+    clock = null;
+    renderClock();
+    selectedSquare = null;
+    boardSize = current.size;
+    boardSizeSelect.value = String(boardSize);
+    syncSizeControls();
+    createBoardFrame(boardFrame, boardSize);
+    editorBoard = cloneBoard(current.board);
+    editorTurnSelect.value = current.turn;
+    renderEditor();
+  };
+
+  const resizeEditor = () => {
+    boardSize = Number(boardSizeSelect.value);
+    syncSizeControls();
+    createBoardFrame(boardFrame, boardSize);
+    for (const sq of [...editorBoard.keys()]) {
+      if (!parseSquare(sq, boardSize)) editorBoard.delete(sq);
+    }
+    renderEditor();
+  };
+
+  const selectEditorTool = (tool) => {
+    editorTool = editorTool === tool ? null : tool;
+    for (const item of editorPalette.querySelectorAll(".palette__item")) {
+      item.classList.toggle("palette__item--active", item.dataset.tool === editorTool);
+    }
+  };
+
+  const placeEditorPiece = (square, piece) => {
+    if (piece.type === "k") {
+      for (const [sq, p] of editorBoard.entries()) {
+        if (p.type === "k" && p.color === piece.color) editorBoard.delete(sq);
       }
-      setMessage("Wrong Move! Try again.", "danger");
+    }
+    editorBoard.set(square, { ...piece });
+  };
+
+  const handleEditorTap = (square) => {
+    const piece = parseTool(editorTool);
+    const existing = editorBoard.get(square);
+    if (!editorTool) {
+      setMessage("Pick a piece from the palette first.");
+      return;
+    }
+    if (!piece || (existing && existing.type === piece.type && existing.color === piece.color)) {
+      editorBoard.delete(square);
+    } else {
+      placeEditorPiece(square, piece);
+    }
+    renderEditor();
+  };
+
+  const endDrag = () => {
+    suppressClick = true;
+    setTimeout(() => {
+      suppressClick = false;
+    }, 0);
+  };
+
+  const startPuzzle = (puzzle) => {
+    const position = parsePosition(puzzle.position);
+    if (position.error) {
+      setMessage(`This puzzle is broken: ${position.error}`, "danger");
       return;
     }
+    modeSelect.value = "puzzle";
+    puzzleSelect.value = puzzle.id;
+    syncModeControls();
+    activePuzzle = { ...puzzle, side: position.turn };
+    startFromPosition(position);
+  };
 
-    const nextBoard = current.applyMove(current.board, selectedSquare, square);
-    current.board = nextBoard;
-    current.turn = oppositeColor(current.turn);
-    score += 1;
-    showCelebration(boardFrame, square);
+  const solvePuzzle = () => {
+    solvedPuzzles.add(activePuzzle.id);
+    saveSolvedPuzzles(solvedPuzzles);
+    renderPuzzleOptions(puzzleSelect, solvedPuzzles);
+    setMessage("Puzzle solved!");
+    const puzzle = activePuzzle;
+    const next = PUZZLES.find((p) => !solvedPuzzles.has(p.id));
+    const actions = next ? [{ label: "Next puzzle", onClick: () => startPuzzle(next) }] : [];
+    showModal("Puzzle solved! ⭐", `${puzzle.title}: ${puzzle.target}. Well done!`, () => startPuzzle(puzzle), actions);
+  };
+
+  const nextHintMove = () => {
+    if (activePuzzle) {
+      const expected = parseSolutionMove(activePuzzle.solution[historyIndex]);
+      if (expected) return { ...expected, piece: current.getPieceAt(expected.from) };
+    }
+    return suggestMove(current, current.turn);
+  };
+
+  const requestHint = () => {
+    if (review) return;
+    if (activeLesson) {
+      setMessage(`Tap a square with a dot to move the ${pieceName(activeLesson.lesson.piece)} there.`);
+      return;
+    }
+    if (isEditing() || isComputerTurn() || isFriendTurn() || !hintsAllowed()) return;
+    if (current.outcome()) return;
+    if (!hint) hint = { move: nextHintMove(), stage: 0 };
+    if (hint.stage < 3) {
+      hint.stage += 1;
+      score = scoreHint(score);
+      setScore(score);
+    }
+
+    const { move, stage } = hint;
+    showHint(boardFrame, move, stage);
+    const name = pieceName(move.piece.type);
+    if (stage === 1) {
+      setMessage(`Hint: try moving your ${name} on ${move.from}.`);
+    } else if (stage === 2) {
+      setMessage(`Hint: move your ${name} from ${move.from} to ${move.to}.`);
+    } else {
+      setMessage(`Hint: ${name} ${move.from} to ${move.to}. ${explainMove(current, move)}`);
+    }
+  };
+
+  const lessonChallenge = () => activeLesson.lesson.challenges[activeLesson.challengeIndex];
+
+  const renderLesson = (note) => {
+    const { lesson, square, apples } = activeLesson;
+    const challenge = lessonChallenge();
+    const piece = { type: lesson.piece, color: "w" };
+    renderPieces(boardFrame, new Map([[square, piece]]));
+    renderLessonMarkers(boardFrame, challenge, apples);
+    highlightLegalMoves(boardFrame, square, lessonMoves(piece, square, apples, boardSize), lessonBoard(apples));
+    clearOverlays(boardFrame);
+    setTurn("White");
+    syncFocusSquare();
+    const goal = challenge.star
+      ? `Reach the star ⭐ in ${challenge.limit} move${challenge.limit === 1 ? "" : "s"}.`
+      : `Capture all the apples 🍎 (${apples.length} left).`;
+    const step = `Challenge ${activeLesson.challengeIndex + 1} of ${lesson.challenges.length}: ${goal}`;
+    setMessage(note ? `${note} ${step}` : step);
+  };
+
+  const startChallenge = (index, note) => {
+    const challenge = activeLesson.lesson.challenges[index];
+    activeLesson.challengeIndex = index;
+    activeLesson.square = challenge.start;
+    activeLesson.apples = [...(challenge.apples ?? [])];
+    activeLesson.challengeMoves = 0;
+    renderLesson(note);
+  };
+
+  const startLesson = (lesson) => {
+    cancelComputerMove();
+    closeModals();
+    closeReview();
+    activePuzzle = null;
+    stopClock();
+    clock = null;
+    renderClock();
+    hint = null;
     selectedSquare = null;
-    clearHighlights(boardFrame);
-    render();
+    modeSelect.value = "lessons";
+    lessonSelect.value = lesson.id;
+    syncModeControls();
+    boardSize = lesson.size;
+    createBoardFrame(boardFrame, boardSize);
+    activeLesson = { lesson, challengeIndex: 0, square: null, apples: [], challengeMoves: 0, movesUsed: 0 };
+    startChallenge(0);
+    showModal(lesson.title, lesson.intro, null, [], "Let's go!");
+  };
+
+  const finishLesson = () => {
+    const { lesson, movesUsed } = activeLesson;
+    const stars = lessonStars(lesson, movesUsed);
+    const best = Number(lessonProgress[lesson.id]?.stars) || 0;
+    lessonProgress = { ...lessonProgress, [lesson.id]: { completed: true, stars: Math.max(best, stars) } };
+    saveLessonProgress(lessonProgress);
+    renderLessonOptions(lessonSelect, lessonProgress);
+    playSound("mate");
+    const next = LESSONS[LESSONS.indexOf(lesson) + 1];
+    // A locked profile stays in lessons, so the last lesson leads back to the first.
+    const locked = settingsLocked();
+    const after = next ?? (locked ? LESSONS[0] : null);
+    setMessage(`Lesson complete! You earned ${stars} star${stars === 1 ? "" : "s"}.`);
+    showModal(
+      `Lesson complete! ${"⭐".repeat(stars)}`,
+      `You finished "${lesson.title}" in ${movesUsed} moves (${lessonPar(lesson)} is perfect).`,
+      () => (after ? startLesson(after) : startNewGame()),
+      [{ label: "Try again", onClick: () => startLesson(lesson) }],
+      next ? "Next lesson" : locked ? "Start over" : "Play a game",
+    );
+  };
+
+  const moveLessonPiece = (to, animate = true) => {
+    const { lesson, square, apples } = activeLesson;
+    const challenge = lessonChallenge();
+    const piece = { type: lesson.piece, color: "w" };
+    if (!lessonMoves(piece, square, apples, boardSize).includes(to)) {
+      playSound("wrong");
+      const sqEl = boardFrame.querySelector(`[data-square="${to}"]`);
+      if (sqEl) {
+        sqEl.classList.add("square--wrong");
+        setTimeout(() => sqEl.classList.remove("square--wrong"), 400);
+      }
+      setMessage(`The ${pieceName(lesson.piece)} can't move there. Follow the dots!`, "danger");
+      return;
+    }
+    const captured = apples.includes(to);
+    activeLesson.square = to;
+    activeLesson.apples = apples.filter((sq) => sq !== to);
+    activeLesson.challengeMoves += 1;
+    activeLesson.movesUsed += 1;
+    renderLesson();
+    playSound(captured ? "capture" : "move");
+    if (animate && !motionCheck.checked) animateMove(boardFrame, { from: square, to, piece, captured: null });
+
+    const done = challenge.star ? to === challenge.star : activeLesson.apples.length === 0;
+    if (done) {
+      showCelebration(boardFrame, to);
+      const next = activeLesson.challengeIndex + 1;
+      if (next < lesson.challenges.length) startChallenge(next, "Well done!");
+      else finishLesson();
+      return;
+    }
+    if (challenge.star && activeLesson.challengeMoves >= challenge.limit) {
+      startChallenge(activeLesson.challengeIndex, "Out of moves! Try again.");
+    }
+  };
+
+  const handleLessonTap = (square) => {
+    if (square === activeLesson.square) {
+      setMessage(`The dots show where the ${pieceName(activeLesson.lesson.piece)} can go.`);
+      return;
+    }
+    moveLessonPiece(square);
+  };
+
+  const beginLessonDrag = (e, from) => {
+    if (from !== activeLesson.square) return;
+    const img = boardFrame.querySelector(`[data-square="${from}"] img.piece`);
+    e.preventDefault();
+    beginPointerDrag(e, getPieceAssetPath(pieceName(activeLesson.lesson.piece), "w"), {
+      onStart: () => {
+        if (img) img.classList.add("piece--dragging");
+      },
+      onDrop: (square) => {
+        endDrag();
+        if (img) img.classList.remove("piece--dragging");
+        if (square && square !== from) moveLessonPiece(square, false);
+      },
+    });
   };
 
+  const firstUnsolvedPuzzle = () => PUZZLES.find((p) => !solvedPuzzles.has(p.id)) ?? PUZZLES[0];
+
+  renderPuzzleOptions(puzzleSelect, solvedPuzzles);
+  renderLessonOptions(lessonSelect, lessonProgress);
+
+  modeSelect.addEventListener("change", () => {
+    if (!isOnlineMode()) leaveOnline();
+    syncModeControls();
+    if (modeSelect.value === "puzzle") {
+      startPuzzle(firstUnsolvedPuzzle());
+      return;
+    }
+    if (isLessonMode()) {
+      startLesson(LESSONS.find((l) => !lessonProgress[l.id]?.completed) ?? LESSONS[0]);
+      return;
+    }
+    if (isEditing()) {
+      enterEditor();
+      return;
+    }
+    startNewGame();
+    if (isOnlineMode()) setMessage("Make a room and tell your friend the code, or type your friend's code to join.");
+  });
+
+  onlineCreateBtn.addEventListener("click", () => {
+    const position = serializePosition(current);
+    const variant = current.variant;
+    goOnline(null, () => ({ type: "create", position, variant }));
+  });
+
+  onlineJoinBtn.addEventListener("click", () => {
+    const room = onlineCodeInput.value.trim().toUpperCase();
+    if (!/^[A-Z]{4}$/.test(room)) {
+      setMessage("Type the 4-letter code from your friend's screen.", "danger");
+      return;
+    }
+    goOnline(null, () => ({ type: "join", room }));
+  });
+
+  onlineCodeInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") onlineJoinBtn.click();
+  });
+
+  onlineLeaveBtn.addEventListener("click", startNewGame);
+
+  renderPalette(editorPalette);
+
+  editorPalette.addEventListener("click", (e) => {
+    const item = e.target.closest(".palette__item");
+    if (!item || suppressClick) return;
+    selectEditorTool(item.dataset.tool);
+  });
+
+  editorPalette.addEventListener("pointerdown", (e) => {
+    const item = e.target.closest(".palette__item");
+    const piece = item ? parseTool(item.dataset.tool) : null;
+    if (!piece) return;
+    e.preventDefault();
+    beginPointerDrag(e, getPieceAssetPath(pieceName(piece.type), piece.color), {
+      onDrop: (square) => {
+        endDrag();
+        if (!square) return;
+        placeEditorPiece(square, piece);
+        renderEditor();
+      },
+    });
+  });
+
+  boardFrame.addEventListener("pointerdown", (e) => {
+    const sqEl = e.target.closest(".square");
+    const from = sqEl ? sqEl.dataset.square : null;
+    if (!from) return;
+    if (review) return;
+    if (activeLesson) {
+      beginLessonDrag(e, from);
+      return;
+    }
+    if (!isEditing()) {
+      beginPieceDrag(e, from);
+      return;
+    }
+    const piece = editorBoard.get(from);
+    if (!piece) return;
+    e.preventDefault();
+    beginPointerDrag(e, getPieceAssetPath(pieceName(piece.type), piece.color), {
+      onDrop: (square) => {
+        endDrag();
+        editorBoard.delete(from);
+        if (square) editorBoard.set(square, piece);
+        renderEditor();
+      },
+    });
+  });
+
+  editorTurnSelect.addEventListener("change", renderEditor);
+
+  document.getElementById("editorClearBtn").addEventListener("click", () => {
+    editorBoard = createEmptyBoard();
+    renderEditor();
+  });
+
+  editorStartBtn.addEventListener("click", () => {
+    const size = Number(boardSizeSelect.value);
+    const board = cloneBoard(editorBoard);
+    setMode("free");
+    startFromPosition({ board, turn: editorTurnSelect.value, size, variant: variantSelect.value });
+  });
+
+  lessonSelect.addEventListener("change", () => {
+    const lesson = LESSONS.find((l) => l.id === lessonSelect.value);
+    if (lesson) startLesson(lesson);
+  });
+
+  puzzleSelect.addEventListener("change", () => {
+    const puzzle = PUZZLES.find((p) => p.id === puzzleSelect.value);
+    if (puzzle) startPuzzle(puzzle);
+  });
+
   boardFrame.addEventListener("click", (e) => {
+    if (suppressClick) return;
     const sqEl = e.target.closest(".square");
     if (!sqEl) return;
     const square = sqEl.dataset.square;
     if (!square) return;
+    if (isEditing()) {
+      handleEditorTap(square);
+      return;
+    }
+    if (activeLesson) {
+      handleLessonTap(square);
+      return;
+    }
     handleSquareClick(square);
   });
 
+  boardFrame.addEventListener("keydown", (e) => {
+    const sqEl = e.target.closest(".square");
+    if (!sqEl) return;
+    focusSquare = sqEl.dataset.square;
+    if (e.key.startsWith("Arrow")) {
+      e.preventDefault();
+      moveFocus(e.key);
+      return;
+    }
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      if (isEditing()) handleEditorTap(focusSquare);
+      else if (activeLesson) handleLessonTap(focusSquare);
+      else handleSquareClick(focusSquare);
+      return;
+    }
+    if (e.key === "Escape" && selectedSquare !== null && !activeLesson) {
+      selectedSquare = null;
+      clearHighlights(boardFrame);
+      setMessage("Selection cancelled.");
+    }
+  });
+
+  boardFrame.addEventListener("focusin", (e) => {
+    const sqEl = e.target.closest(".square");
+    if (!sqEl) return;
+    focusSquare = sqEl.dataset.square;
+    syncFocusSquare();
+  });
+
+  const activeProfile = () => profiles.profiles.find((p) => p.id === profiles.activeId);
+
+  const settingsLocked = () => Boolean(activeProfile().settings?.locked);
+
+  const hintsAllowed = () => activeProfile().settings?.hints !== false;
+
+  const applyProfileSettings = () => {
+    const { settings } = activeProfile();
+    if (settings) {
+      const fixedSize = VARIANTS[variantSelect.value].size;
+      if (fixedSize && fixedSize !== settings.size) {
+        variantSelect.value = "standard";
+        localStorage.setItem("chess-variant", variantSelect.value);
+      }
+      boardSizeSelect.value = String(settings.size);
+      syncSizeControls();
+      loadout = settings.loadout;
+      saveLoadout(loadout);
+      syncLoadoutControls();
+      opponentSelect.value = settings.opponent;
+      if (!opponentSelect.value) opponentSelect.value = "off";
+      localStorage.setItem("chess-opponent", opponentSelect.value);
+      clockSelect.value = settings.clock;
+      if (!clockSelect.value) clockSelect.value = "off";
+      incrementSelect.value = settings.increment;
+      if (!incrementSelect.value) incrementSelect.value = "0";
+      localStorage.setItem("chess-clock", clockSelect.value);
+      localStorage.setItem("chess-clock-increment", incrementSelect.value);
+      soundCheck.checked = settings.sound;
+      localStorage.setItem("chess-sound", String(soundCheck.checked));
+    }
+    syncModeControls();
+  };
+
+  const recordResult = (winner) => {
+    if (activePuzzle || resultRecorded) return;
+    resultRecorded = true;
+    const profile = activeProfile();
+    const side = online?.color ?? "w";
+    profile.games.push({
+      date: new Date().toISOString(),
+      size: current.size,
+      variant: current.variant,
+      result: winner === null ? "draw" : winner === side ? "win" : "loss",
+      score: scoreTotal(score),
+      moves: score.movesPlayed,
+      wrongMoves: score.wrongMoves,
+      hintsUsed: score.hintsUsed,
+    });
+    profile.games = profile.games.slice(-MAX_PROFILE_GAMES);
+    saveProfiles(profiles);
+    if (online?.room) saveOnlineSession({ room: online.room, token: online.token, recorded: true });
+  };
+
+  const setActiveProfile = (id) => {
+    profiles.activeId = id;
+    saveProfiles(profiles);
+    renderProfileOptions(profileSelect, profiles);
+    applyProfileSettings();
+  };
+
+  const openProgress = () => {
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay";
+    overlay.innerHTML = `
+      <div class="modal modal--wide" role="dialog" aria-label="Player progress">
+        <div class="modal__title">Progress</div>
+        <div class="progress__players">
+          <select class="setup-select" data-role="player" aria-label="Player"></select>
+          <input class="setup-input" data-role="name" type="text" placeholder="New player name" maxlength="24" />
+          <button class="btn btn--small" data-role="add" type="button">Add player</button>
+        </div>
+        <div class="progress__body" data-role="body"></div>
+        <div class="progress__buttons">
+          <button class="btn btn--small" data-role="export" type="button">Export JSON</button>
+          <button class="btn btn--small" data-role="import" type="button">Import JSON</button>
+          <input data-role="file" type="file" accept="application/json,.json" hidden />
+        </div>
+        <div class="progress__status" data-role="status" role="status"></div>
+        <button class="modal__btn" data-role="close" type="button">Close</button>
+      </div>
+    `;
+    const $ = (role) => overlay.querySelector(`[data-role="${role}"]`);
+    const refresh = () => {
+      renderProfileOptions($("player"), profiles);
+      renderProgress($("body"), activeProfile());
+      for (const role of ["player", "name", "add"]) $(role).disabled = settingsLocked();
+    };
+
+    $("player").addEventListener("change", () => {
+      setActiveProfile($("player").value);
+      refresh();
+    });
+    $("add").addEventListener("click", () => {
+      const name = $("name").value.trim();
+      if (!name) {
+        $("status").textContent = "Type a name first.";
+        return;
+      }
+      const profile = createProfile(name);
+      profiles.profiles.push(profile);
+      $("name").value = "";
+      setActiveProfile(profile.id);
+      refresh();
+    });
+    $("export").addEventListener("click", () => downloadJson("kids-chess-profiles.json", profiles));
+    $("import").addEventListener("click", () => $("file").click());
+    $("file").addEventListener("change", () => {
+      const file = $("file").files[0];
+      if (!file) return;
+      file.text().then((text) => {
+        let imported;
+        try {
+          imported = JSON.parse(text);
+        } catch {
+          $("status").textContent = "That file isn't valid JSON.";
+          return;
+        }
+        const importedProfiles = normalizeProfileList(imported?.profiles);
+        if (importedProfiles.length === 0) {
+          $("status").textContent = "That file doesn't contain any player profiles.";
+          return;
+        }
+        profiles = mergeProfiles(profiles, { profiles: importedProfiles });
+        saveProfiles(profiles);
+        renderProfileOptions(profileSelect, profiles);
+        refresh();
+        $("status").textContent = "Profiles imported.";
+      }).catch(() => {
+        $("status").textContent = "That file couldn't be read.";
+      });
+    });
+    $("close").addEventListener("click", () => overlay.remove());
+
+    refresh();
+    document.body.appendChild(overlay);
+  };
+
+  const openParentGate = () => {
+    let question = createParentQuestion();
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay";
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-label="Grown-ups only">
+        <div class="modal__title">Grown-ups only</div>
+        <label class="modal__body" data-role="question" for="parentAnswer"></label>
+        <input class="setup-input" id="parentAnswer" data-role="answer" type="text" inputmode="numeric" autocomplete="off" />
+        <div class="progress__status" data-role="status" role="status"></div>
+        <div class="modal__actions">
+          <button class="modal__btn" data-role="check" type="button">Continue</button>
+          <button class="modal__btn modal__btn--secondary" data-role="close" type="button">Cancel</button>
+        </div>
+      </div>
+    `;
+    const $ = (role) => overlay.querySelector(`[data-role="${role}"]`);
+    const check = () => {
+      const answer = $("answer").value.trim();
+      if (answer !== "" && Number(answer) === question.answer) {
+        overlay.remove();
+        openParentDashboard();
+        return;
+      }
+      question = createParentQuestion();
+      $("question").textContent = question.text;
+      $("answer").value = "";
+      $("status").textContent = "That's not it. Try this one.";
+      $("answer").focus();
+    };
+
+    $("question").textContent = question.text;
+    $("check").addEventListener("click", check);
+    $("answer").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") check();
+    });
+    $("close").addEventListener("click", () => overlay.remove());
+    document.body.appendChild(overlay);
+    $("answer").focus();
+  };
+
+  const currentSettings = () =>
+    normalizeProfileSettings({
+      size: Number(boardSizeSelect.value),
+      loadout,
+      opponent: opponentSelect.value,
+      clock: clockSelect.value,
+      increment: incrementSelect.value,
+      hints: hintsAllowed(),
+      sound: soundCheck.checked,
+      locked: false,
+    });
+
+  const openParentDashboard = () => {
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay";
+    overlay.innerHTML = `
+      <div class="modal modal--wide" role="dialog" aria-label="Parent dashboard">
+        <div class="modal__title">Parent dashboard</div>
+        <select class="setup-select" data-role="player" aria-label="Player"></select>
+        <h3 class="progress__heading">Game settings</h3>
+        <div class="parent__settings">
+          <label class="setup-row">
+            <span class="setup-label">Board size</span>
+            <select class="setup-select" data-role="size"></select>
+          </label>
+          <fieldset class="loadout" data-role="loadout">
+            <legend class="setup-label">Starting pieces</legend>
+            <div class="loadout__side">
+              <span class="setup-label">White</span>
+              <div class="loadout__counts" data-role="white"></div>
+            </div>
+            <div class="loadout__side">
+              <span class="setup-label">Black</span>
+              <div class="loadout__counts" data-role="black"></div>
+            </div>
+            <label class="setup-check"><input type="checkbox" data-role="mirror" /> Same pieces for both sides</label>
+            <label class="setup-check"><input type="checkbox" data-role="symmetric" /> Mirror-image placement</label>
+          </fieldset>
+          <label class="setup-row">
+            <span class="setup-label">Computer plays Black</span>
+            <select class="setup-select" data-role="opponent"></select>
+          </label>
+          <label class="setup-row">
+            <span class="setup-label">Clock (two players)</span>
+            <select class="setup-select" data-role="clock"></select>
+          </label>
+          <label class="setup-row">
+            <span class="setup-label">Extra time per move</span>
+            <select class="setup-select" data-role="increment"></select>
+          </label>
+          <label class="setup-check"><input type="checkbox" data-role="hints" /> Allow hints</label>
+          <label class="setup-check"><input type="checkbox" data-role="sound" /> Sound effects</label>
+          <label class="setup-check"><input type="checkbox" data-role="locked" /> Lock these settings and the game mode so they can't be changed during play</label>
+        </div>
+        <h3 class="progress__heading">Recent games</h3>
+        <div class="progress__body" data-role="games"></div>
+        <div class="modal__actions">
+          <button class="modal__btn" data-role="save" type="button">Save</button>
+          <button class="modal__btn modal__btn--secondary" data-role="close" type="button">Close</button>
+        </div>
+      </div>
+    `;
+    const $ = (role) => overlay.querySelector(`[data-role="${role}"]`);
+    const selects = { size: boardSizeSelect, opponent: opponentSelect, clock: clockSelect, increment: incrementSelect };
+    for (const [role, select] of Object.entries(selects)) $(role).innerHTML = select.innerHTML;
+    renderLoadoutInputs($("white"), "w");
+    renderLoadoutInputs($("black"), "b");
+    let profile = activeProfile();
+
+    const syncPieceInputs = () => {
+      for (const input of $("black").querySelectorAll(".loadout__input")) input.disabled = $("mirror").checked;
+      $("symmetric").disabled = !$("mirror").checked;
+      if (!$("mirror").checked) $("symmetric").checked = false;
+    };
+
+    const fill = () => {
+      const settings = profile.settings ?? currentSettings();
+      for (const role of Object.keys(selects)) $(role).value = String(settings[role]);
+      for (const input of $("loadout").querySelectorAll(".loadout__input")) {
+        const counts = settings.loadout.mirror ? settings.loadout.w : settings.loadout[input.dataset.color];
+        input.value = String(counts[input.dataset.type]);
+      }
+      for (const role of ["mirror", "symmetric"]) $(role).checked = settings.loadout[role];
+      for (const role of ["hints", "sound", "locked"]) $(role).checked = settings[role];
+      syncPieceInputs();
+      renderRecentGames($("games"), profile);
+    };
+
+    const readSettings = () => {
+      const counts = { w: {}, b: {} };
+      for (const input of $("loadout").querySelectorAll(".loadout__input")) {
+        counts[input.dataset.color][input.dataset.type] = Number(input.value);
+      }
+      return normalizeProfileSettings({
+        size: Number($("size").value),
+        loadout: { ...counts, mirror: $("mirror").checked, symmetric: $("symmetric").checked },
+        opponent: $("opponent").value,
+        clock: $("clock").value,
+        increment: $("increment").value,
+        hints: $("hints").checked,
+        sound: $("sound").checked,
+        locked: $("locked").checked,
+      });
+    };
+
+    renderProfileOptions($("player"), { ...profiles, activeId: profile.id });
+    $("player").addEventListener("change", () => {
+      profile = profiles.profiles.find((p) => p.id === $("player").value);
+      fill();
+    });
+    $("mirror").addEventListener("change", syncPieceInputs);
+    $("save").addEventListener("click", () => {
+      profile.settings = readSettings();
+      saveProfiles(profiles);
+      overlay.remove();
+      if (profile === activeProfile()) {
+        applyProfileSettings();
+        if (modeSelect.value === "free") startNewGame();
+      }
+      setMessage(`Saved the settings for ${profile.name}.`);
+    });
+    $("close").addEventListener("click", () => overlay.remove());
+
+    fill();
+    document.body.appendChild(overlay);
+  };
+
+  renderProfileOptions(profileSelect, profiles);
+  profileSelect.addEventListener("change", () => {
+    setActiveProfile(profileSelect.value);
+    if (activeProfile().settings && modeSelect.value === "free") startNewGame();
+  });
+  document.getElementById("progressBtn").addEventListener("click", openProgress);
+  document.getElementById("parentBtn").addEventListener("click", openParentGate);
+
+  hintBtn.addEventListener("click", requestHint);
+
+  overlayPanel.addEventListener("change", () => {
+    if (isEditing() || activeLesson) return;
+    renderOverlays(boardFrame, current, getOverlays());
+  });
+
   const resetBtn = document.getElementById("resetBtn");
-  resetBtn.addEventListener("click", startNewGame);
+  resetBtn.addEventListener("click", () => {
+    if (isEditing()) {
+      editorBoard = createEmptyBoard();
+      renderEditor();
+      return;
+    }
+    if (activePuzzle) {
+      startPuzzle(activePuzzle);
+      return;
+    }
+    if (activeLesson) {
+      startLesson(activeLesson.lesson);
+      return;
+    }
+    startNewGame();
+  });
 
-  startNewGame();
+  document.getElementById("copyPositionBtn").addEventListener("click", () => {
+    const text = serializePosition(current);
+    positionInput.value = text;
+    if (!navigator.clipboard) {
+      setMessage("Copy the position from the box below.");
+      return;
+    }
+    navigator.clipboard.writeText(text).then(
+      () => setMessage("Position copied!"),
+      () => setMessage("Copy the position from the box below."),
+    );
+  });
+
+  loadPositionBtn.addEventListener("click", () => {
+    if (settingsLocked()) return;
+    const result = parsePosition(positionInput.value, variantSelect.value);
+    if (result.error) {
+      setMessage(`Can't load that position: ${result.error}`, "danger");
+      return;
+    }
+    activePuzzle = null;
+    setMode("free");
+    startFromPosition({ ...result, variant: variantSelect.value });
+  });
+
+  const undoAction = { label: "Undo move", onClick: () => stepHistory(-1) };
+
+  reviewPrevBtn.addEventListener("click", () => showReviewStep(review.index - 1));
+  reviewNextBtn.addEventListener("click", () => showReviewStep(review.index + 1));
+  reviewMistakeBtn.addEventListener("click", () => {
+    const next = review.flags.findIndex((flag, i) => flag && i >= review.index);
+    if (next >= 0) showReviewStep(next + 1);
+  });
+  document.getElementById("reviewDoneBtn").addEventListener("click", endReview);
+  undoBtn.addEventListener("click", () => stepHistory(-1));
+  redoBtn.addEventListener("click", () => stepHistory(1));
+
+  historyList.addEventListener("click", (e) => {
+    const btn = e.target.closest(".history__move");
+    if (!btn) return;
+    goToPosition(Number(btn.dataset.position));
+  });
+
+  applyProfileSettings();
+  const onlineSession = loadOnlineSession();
+  const saved = loadSavedGame();
+  const savedGame = saved
+    ? new ChessGame({ ...saved.positions[saved.historyIndex], size: saved.size, variant: saved.variant })
+    : null;
+  const savedDraw = saved
+    ? detectDraw(saved.positions, saved.moves, saved.historyIndex, resolveMoveLimit(drawLimitSelect.value, saved.size), saved.variant)
+    : null;
+  if (onlineSession) {
+    setMode("online");
+    startNewGame();
+    resumeOnline(onlineSession);
+  } else if (savedGame && !savedGame.outcome() && !savedDraw) {
+    restoreGame(saved);
+    showModal(
+      "Welcome back!",
+      "You have a game in progress. Do you want to keep playing it?",
+      () => {
+        startClock();
+        scheduleComputerMove();
+      },
+      [{ label: "New game", onClick: startNewGame }],
+      "Resume game",
+    );
+  } else {
+    startNewGame();
+  }
 
   window.ChessAssets = {
     getPieceAssetPath,
@@ -716,6 +3211,8 @@ function init() {
   window.ChessGame = {
     ChessGame,
     generateStartingPosition,
+    parsePosition,
+    serializePosition,
     getCurrent: () => current,
   };
 }
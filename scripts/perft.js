@@ -0,0 +1,16 @@
+import { ChessGame, STANDARD_POSITION, parsePosition, perft } from "../engine.js";
+
+const [text = STANDARD_POSITION, depthText = "4"] = process.argv.slice(2);
+const position = parsePosition(text);
+if (position.error) {
+  console.error(position.error);
+  process.exit(1);
+}
+
+const game = new ChessGame(position);
+for (let depth = 1; depth <= Number(depthText); depth += 1) {
+  const started = performance.now();
+  const nodes = perft(game, depth);
+  const ms = performance.now() - started;
+  console.log(`depth ${depth}: ${nodes} nodes in ${ms.toFixed(0)} ms`);
+}
@@ -0,0 +1,387 @@
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { networkInterfaces } from "node:os";
+import { dirname, extname, join, normalize, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { ChessGame, PROMOTION_CHOICES, VARIANTS, oppositeColor, parsePosition, variantStartError } from "./engine.js";
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const PING_INTERVAL_MS = 30000;
+const ROOM_TTL_MS = 10 * 60 * 1000;
+const ROOM_CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const ROOM_CODE_LENGTH = 4;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns the complete frames at the front of the buffer and whatever bytes are left over.
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const fin = Boolean(buffer[offset] & 0x80);
+    const opcode = buffer[offset] & 0x0f;
+    const masked = Boolean(buffer[offset + 1] & 0x80);
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      const big = buffer.readBigUInt64BE(cursor);
+      length = big > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(big);
+      cursor += 8;
+    }
+    if (!masked) return { error: 1002 };
+    if (length > MAX_MESSAGE_BYTES) return { error: 1009 };
+    if (buffer.length < cursor + 4 + length) break;
+    const mask = buffer.subarray(cursor, cursor + 4);
+    const payload = Buffer.from(buffer.subarray(cursor + 4, cursor + 4 + length));
+    for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    frames.push({ fin, opcode, payload });
+    offset = cursor + 4 + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function acceptWebSocket(req, socket, { onMessage, onClose }) {
+  const key = req.headers["sec-websocket-key"];
+  if (String(req.headers.upgrade).toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return null;
+  }
+  const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  );
+  socket.setNoDelay(true);
+
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+  let alive = true;
+
+  const connection = {
+    send(message) {
+      if (closed) return;
+      socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      socket.write(encodeFrame(OPCODES.close, payload));
+      socket.end();
+      finish();
+    },
+  };
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pinger);
+    onClose(connection);
+  };
+
+  const pinger = setInterval(() => {
+    if (!alive) {
+      socket.destroy();
+      return;
+    }
+    alive = false;
+    socket.write(encodeFrame(OPCODES.ping));
+  }, PING_INTERVAL_MS);
+
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    const { frames, rest, error } = decodeFrames(buffered);
+    if (error) {
+      connection.close(error);
+      return;
+    }
+    buffered = rest;
+    for (const frame of frames) {
+      alive = true;
+      if (frame.opcode === OPCODES.close) {
+        connection.close();
+        return;
+      }
+      if (frame.opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        continue;
+      }
+      if (frame.opcode === OPCODES.pong) continue;
+      if (frame.opcode !== OPCODES.text && frame.opcode !== OPCODES.continuation) {
+        connection.close(1003);
+        return;
+      }
+      fragments.push(frame.payload);
+      if (fragments.reduce((n, part) => n + part.length, 0) > MAX_MESSAGE_BYTES) {
+        connection.close(1009);
+        return;
+      }
+      if (!frame.fin) continue;
+      const text = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        connection.send({ type: "error", message: "The server couldn't read that message." });
+        continue;
+      }
+      onMessage(connection, message);
+    }
+  });
+  socket.on("end", () => socket.end());
+  socket.on("close", finish);
+  socket.on("error", () => socket.destroy());
+  return connection;
+}
+
+function createRoomCode(rooms) {
+  for (;;) {
+    const bytes = randomBytes(ROOM_CODE_LENGTH);
+    const code = [...bytes].map((b) => ROOM_CODE_LETTERS[b % ROOM_CODE_LETTERS.length]).join("");
+    if (!rooms.has(code)) return code;
+  }
+}
+
+function roomState(room, color, token) {
+  const opponent = room.players[oppositeColor(color)];
+  return {
+    type: "sync",
+    room: room.code,
+    color,
+    token,
+    start: room.start,
+    variant: room.variant,
+    moves: room.moves,
+    opponent: Boolean(opponent?.connection),
+  };
+}
+
+export function createRelayServer({ root = ROOT } = {}) {
+  const rooms = new Map();
+  const seats = new Map();
+
+  const notifyOpponent = (room, color) => {
+    const opponent = room.players[oppositeColor(color)];
+    opponent?.connection?.send({
+      type: "opponent",
+      connected: Boolean(room.players[color]?.connection),
+      left: !room.players[color],
+    });
+  };
+
+  const expireLater = (room) => {
+    clearTimeout(room.expiry);
+    if (room.players.w?.connection || room.players.b?.connection) return;
+    room.expiry = setTimeout(() => rooms.delete(room.code), ROOM_TTL_MS);
+    room.expiry.unref();
+  };
+
+  const seat = (connection, room, color, token) => {
+    const previous = room.players[color]?.connection;
+    if (previous && previous !== connection) {
+      seats.delete(previous);
+      previous.close(4000);
+    }
+    room.players[color] = { token, connection };
+    seats.set(connection, { room, color });
+    clearTimeout(room.expiry);
+    connection.send(roomState(room, color, token));
+    notifyOpponent(room, color);
+  };
+
+  const leave = (connection) => {
+    const taken = seats.get(connection);
+    if (!taken) return;
+    seats.delete(connection);
+    const { room, color } = taken;
+    if (room.players[color]?.connection === connection) room.players[color].connection = null;
+    notifyOpponent(room, color);
+    expireLater(room);
+  };
+
+  const handlers = {
+    create(connection, message) {
+      const variant = VARIANTS[message.variant] ? message.variant : "standard";
+      const position = parsePosition(message.position, variant);
+      if (position.error) {
+        connection.send({ type: "error", message: `Can't start that game: ${position.error}` });
+        return;
+      }
+      const variantError = variantStartError(variant, position.board, position.size);
+      if (variantError) {
+        connection.send({ type: "error", message: `Can't start that game: ${variantError}` });
+        return;
+      }
+      leave(connection);
+      const code = createRoomCode(rooms);
+      const room = {
+        code,
+        start: message.position,
+        variant,
+        moves: [],
+        game: new ChessGame({ ...position, variant }),
+        players: { w: null, b: null },
+        expiry: null,
+      };
+      rooms.set(code, room);
+      seat(connection, room, "w", randomUUID());
+    },
+
+    join(connection, message) {
+      const room = rooms.get(String(message.room ?? "").trim().toUpperCase());
+      if (!room) {
+        connection.send({ type: "error", message: "There's no room with that code." });
+        return;
+      }
+      if (room.players.b) {
+        connection.send({ type: "error", message: "That room already has two players." });
+        return;
+      }
+      leave(connection);
+      seat(connection, room, "b", randomUUID());
+    },
+
+    resume(connection, message) {
+      const room = rooms.get(String(message.room ?? "").toUpperCase());
+      const valid = room && typeof message.token === "string" && message.token !== "";
+      const color = valid ? ["w", "b"].find((c) => room.players[c]?.token === message.token) : null;
+      if (!color) {
+        connection.send({ type: "error", code: "gone", message: "That online game has ended." });
+        return;
+      }
+      leave(connection);
+      seat(connection, room, color, message.token);
+    },
+
+    sync(connection) {
+      const taken = seats.get(connection);
+      if (!taken) return;
+      connection.send(roomState(taken.room, taken.color, taken.room.players[taken.color].token));
+    },
+
+    move(connection, message) {
+      const taken = seats.get(connection);
+      if (!taken) return;
+      const { room, color } = taken;
+      const { game } = room;
+      const piece = game.getPieceAt(message.from);
+      const promotion = message.promotion ?? null;
+      const legal =
+        message.ply === room.moves.length &&
+        game.turn === color &&
+        !game.outcome() &&
+        piece?.color === color &&
+        game.getLegalMoves(piece, message.from).includes(message.to) &&
+        (promotion === null || PROMOTION_CHOICES.includes(promotion));
+      if (!legal) {
+        handlers.sync(connection);
+        return;
+      }
+      const move = { from: message.from, to: message.to, promotion };
+      game.board = game.applyMove(game.board, move.from, move.to, promotion ?? "q");
+      game.turn = oppositeColor(game.turn);
+      room.moves.push(move);
+      room.players[oppositeColor(color)]?.connection?.send({ type: "move", ply: room.moves.length - 1, ...move });
+    },
+
+    leave(connection) {
+      const taken = seats.get(connection);
+      if (!taken) return;
+      seats.delete(connection);
+      const { room, color } = taken;
+      room.players[color] = null;
+      notifyOpponent(room, color);
+      if (room.players.w || room.players.b) {
+        expireLater(room);
+        return;
+      }
+      clearTimeout(room.expiry);
+      rooms.delete(room.code);
+    },
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const file = normalize(join(root, decodeURIComponent(pathname === "/" ? "/index.html" : pathname)));
+      const type = CONTENT_TYPES[extname(file)];
+      if (!file.startsWith(root + sep) || !type || file.includes(`${sep}.`)) throw new Error("Not servable");
+      const body = await readFile(file);
+      res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-cache" }).end(body);
+    } catch {
+      res.writeHead(404).end("Not found");
+    }
+  });
+
+  server.on("upgrade", (req, socket) => {
+    acceptWebSocket(req, socket, {
+      onMessage: (connection, message) => {
+        if (!Object.hasOwn(handlers, message?.type)) return;
+        try {
+          handlers[message.type](connection, message);
+        } catch (error) {
+          console.error(error);
+          connection.send({ type: "error", message: "The server couldn't handle that message." });
+        }
+      },
+      onClose: leave,
+    });
+  });
+
+  server.rooms = rooms;
+  return server;
+}
+
+function localAddresses() {
+  return Object.values(networkInterfaces())
+    .flat()
+    .filter((net) => net && net.family === "IPv4" && !net.internal)
+    .map((net) => net.address);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT ?? 8080);
+  createRelayServer().listen(port, () => {
+    console.log(`Chess is running on http://localhost:${port}`);
+    for (const address of localAddresses()) console.log(`Other devices on this network can open http://${address}:${port}`);
+  });
+}
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BOARD_SIZES,
+  STANDARD_POSITION,
+  ChessGame,
+  parsePosition,
+  serializePosition,
+  validatePosition,
+  generateStartingPosition,
+} from "../engine.js";
+
+function gameFrom(text) {
+  const position = parsePosition(text);
+  assert.equal(position.error, undefined);
+  return new ChessGame(position);
+}
+
+function legalFrom(game, square) {
+  return game.getLegalMoves(game.getPieceAt(square), square).sort();
+}
+
+test("rooks slide until they hit a piece", () => {
+  const game = gameFrom("k3/4/1K2/r2R w 4");
+  assert.deepEqual(legalFrom(game, "D1"), ["A1", "B1", "C1", "D2", "D3", "D4"]);
+});
+
+test("knights jump over pieces", () => {
+  const game = gameFrom("k4/5/2N2/1PPP1/4K w 5");
+  assert.deepEqual(legalFrom(game, "C3"), ["A2", "A4", "B1", "B5", "D1", "D5", "E2", "E4"]);
+});
+
+test("pawns push twice from their start rank and capture diagonally", () => {
+  const start = gameFrom("k5/6/6/6/1P4/5K w 6");
+  assert.deepEqual(legalFrom(start, "B2"), ["B3", "B4"]);
+  const blocked = gameFrom("k5/6/6/1p4/1P4/5K w 6");
+  assert.deepEqual(legalFrom(blocked, "B2"), []);
+  const capture = gameFrom("k5/6/6/2p3/1P4/5K w 6");
+  assert.deepEqual(legalFrom(capture, "B2"), ["B3", "B4", "C3"]);
+  const later = gameFrom("k5/6/2p3/1P4/6/5K w 6");
+  assert.deepEqual(legalFrom(later, "B3"), ["B4", "C4"]);
+});
+
+test("pawns promote on the last rank", () => {
+  const game = gameFrom("4/P3/4/k1K1 w 4");
+  assert.equal(game.isPromotion("A3", "A4"), true);
+  const board = game.applyMove(game.board, "A3", "A4", "n");
+  assert.deepEqual(board.get("A4"), { type: "n", color: "w" });
+});
+
+test("the real chess start has 20 moves for each side", () => {
+  const game = gameFrom(STANDARD_POSITION);
+  assert.equal(game.size, 8);
+  assert.equal(game.allLegalMoves("w").length, 20);
+  assert.equal(game.allLegalMoves("b").length, 20);
+});
+
+test("pinned pieces can't leave the king in check", () => {
+  const game = gameFrom("k2r/4/3R/3K w 4");
+  assert.deepEqual(legalFrom(game, "D2"), ["D3", "D4"]);
+});
+
+test("check, checkmate and stalemate", () => {
+  const check = gameFrom("k3/4/1K2/R3 b 4");
+  assert.equal(check.isCheck("b"), true);
+  assert.equal(check.isCheckmate("b"), false);
+
+  const mate = gameFrom("k3/4/1K2/3R w 4");
+  const board = mate.applyMove(mate.board, "D1", "D4");
+  assert.equal(mate.isCheck("b", board), true);
+  assert.equal(mate.isCheckmate("b", board), true);
+  assert.equal(mate.isStalemate("b", board), false);
+
+  const stalemate = gameFrom("k3/2Q1/1K2/4 b 4");
+  assert.equal(stalemate.isCheck("b"), false);
+  assert.equal(stalemate.isStalemate("b"), true);
+  assert.equal(stalemate.isCheckmate("b"), false);
+});
+
+test("positions round-trip through text", () => {
+  for (const text of ["k3/4/1K2/3R w 4", "2k2/3R1/5/2K2/r4 b 5", STANDARD_POSITION]) {
+    assert.equal(serializePosition(gameFrom(text)), text);
+  }
+});
+
+test("bad position text is rejected", () => {
+  assert.ok(parsePosition("k3/4/1K2 w 4").error);
+  assert.ok(parsePosition("k3/4/1K2/3R x 4").error);
+  assert.ok(parsePosition("k3/4/1K2/3R w 9").error);
+  assert.ok(parsePosition("k3/4/4/3R w 4").error);
+});
+
+test("games of different sizes keep their own board", () => {
+  const small = gameFrom("k3/4/1K2/3R w 4");
+  const big = gameFrom(STANDARD_POSITION);
+  assert.equal(small.size, 4);
+  assert.equal(big.size, 8);
+  assert.deepEqual(legalFrom(small, "D1"), ["A1", "B1", "C1", "D2", "D3", "D4"]);
+  assert.equal(big.allLegalMoves("w").length, 20);
+  assert.equal(small.kingTargets("D4").includes("E4"), false);
+  assert.equal(big.kingTargets("D4").includes("E4"), true);
+});
+
+for (const size of Object.keys(BOARD_SIZES).map(Number)) {
+  test(`starting positions are fair on ${size}×${size}`, () => {
+    const pieces = [
+      { type: "r", color: "w" },
+      { type: "n", color: "w" },
+      { type: "r", color: "b" },
+      { type: "n", color: "b" },
+    ];
+    for (const symmetric of [false, true]) {
+      for (let i = 0; i < 20; i += 1) {
+        const position = generateStartingPosition(pieces, { size, symmetric });
+        assert.equal(position.error, undefined);
+        assert.equal(position.size, size);
+        assert.equal(validatePosition(position.board, position.turn, size), null);
+        const game = new ChessGame(position);
+        assert.equal(game.kingsAreSeparated(), true);
+        assert.equal(game.isCheck("w"), false);
+        assert.equal(game.isCheck("b"), false);
+      }
+    }
+  });
+}
+
+test("starting positions report pieces that don't fit", () => {
+  const pieces = Array.from({ length: 15 }, () => ({ type: "n", color: "w" }));
+  assert.ok(generateStartingPosition(pieces, { size: 4 }).error);
+  assert.ok(generateStartingPosition([], { size: 3 }).error);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ChessGame, STANDARD_POSITION, parsePosition, perft } from "../engine.js";
+
+// The 8×8 counts are the published ones for the standard start. The small-board
+// counts were recorded from the original Map-based move generator.
+const PERFT_COUNTS = [
+  { position: STANDARD_POSITION, counts: [20, 400, 8902, 197281] },
+  { position: "k3/4/1K2/3R w 4", counts: [12, 18, 149, 422] },
+  { position: "1n1k/1P2/2p1/K1RB w 4", counts: [4, 31, 180, 1000] },
+  { position: "r1k1q/P4/1pN2/4b/R1K2 w 5", counts: [13, 197, 1710, 28580] },
+  { position: "2k2r/1pp1p1/2n3/3N2/PP1P1P/R1B1K1 w 6", counts: [14, 243, 3552, 59598] },
+  { position: "r1bk2r/1ppq1p1/3n3/2N1p2/1P1p3/2P1BP1/R2QK1R w 7", counts: [38, 1286, 42877] },
+  { position: "4k3/1P6/8/8/8/8/5p2/2K5 w 8", counts: [9, 68, 696, 7119] },
+];
+
+for (const { position, counts } of PERFT_COUNTS) {
+  test(`perft ${position}`, () => {
+    const game = new ChessGame(parsePosition(position));
+    counts.forEach((expected, i) => assert.equal(perft(game, i + 1), expected, `depth ${i + 1}`));
+  });
+}
+
+test("perft leaves the board untouched", () => {
+  const game = new ChessGame(parsePosition("r1k1q/P4/1pN2/4b/R1K2 w 5"));
+  const before = [...game.board];
+  perft(game, 3);
+  assert.deepEqual([...game.board], before);
+});
+
+test("perft counts from the given side and board", () => {
+  const game = new ChessGame(parsePosition(STANDARD_POSITION));
+  const board = game.applyMove(game.board, "E2", "E4");
+  assert.equal(perft(game, 1, board, "b"), 20);
+  assert.equal(perft(game, 2, board, "b"), 600);
+});
@@ -0,0 +1,180 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { randomBytes } from "node:crypto";
+import { connect } from "node:net";
+import { createRelayServer } from "../server.js";
+
+const START = "k3/4/1K2/3R w 4";
+
+let server;
+let port;
+const sockets = [];
+
+before(async () => {
+  server = createRelayServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  for (const socket of sockets) socket.destroy();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function maskedFrame(text) {
+  const payload = Buffer.from(text);
+  const mask = randomBytes(4);
+  const header = payload.length < 126 ? Buffer.from([0x81, 0x80 | payload.length]) : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  const body = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  return Buffer.concat([header, mask, body]);
+}
+
+function openClient() {
+  return new Promise((resolve, reject) => {
+    const socket = connect(port, "127.0.0.1");
+    sockets.push(socket);
+    const inbox = [];
+    const waiting = [];
+    let buffer = Buffer.alloc(0);
+    let upgraded = false;
+
+    const deliver = (message) => {
+      const waiter = waiting.shift();
+      if (waiter) waiter(message);
+      else inbox.push(message);
+    };
+
+    socket.on("error", reject);
+    socket.on("connect", () => {
+      socket.write(
+        "GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+          `Sec-WebSocket-Key: ${randomBytes(16).toString("base64")}\r\nSec-WebSocket-Version: 13\r\n\r\n`,
+      );
+    });
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!upgraded) {
+        const end = buffer.indexOf("\r\n\r\n");
+        if (end < 0) return;
+        assert.match(buffer.subarray(0, end).toString(), /^HTTP\/1\.1 101/);
+        buffer = buffer.subarray(end + 4);
+        upgraded = true;
+        resolve(client);
+      }
+      while (buffer.length >= 2) {
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+          length = buffer.readUInt16BE(2);
+          offset = 4;
+        }
+        if (buffer.length < offset + length) break;
+        const opcode = buffer[0] & 0x0f;
+        const payload = buffer.subarray(offset, offset + length);
+        buffer = buffer.subarray(offset + length);
+        if (opcode === 0x1) deliver(JSON.parse(payload.toString()));
+      }
+    });
+
+    const client = {
+      send: (message) => socket.write(maskedFrame(JSON.stringify(message))),
+      next: () => (inbox.length ? Promise.resolve(inbox.shift()) : new Promise((r) => waiting.push(r))),
+      close: () => socket.destroy(),
+    };
+  });
+}
+
+async function startRoom() {
+  const host = await openClient();
+  host.send({ type: "create", position: START, variant: "standard" });
+  const created = await host.next();
+  const guest = await openClient();
+  guest.send({ type: "join", room: created.room.toLowerCase() });
+  const joined = await guest.next();
+  const hello = await host.next();
+  return { host, guest, created, joined, hello };
+}
+
+test("serves the game files and nothing else", async () => {
+  const page = await fetch(`http://127.0.0.1:${port}/`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<script type="module" src="\.\/main\.js">/);
+  assert.equal((await fetch(`http://127.0.0.1:${port}/engine.js`)).headers.get("content-type"), "text/javascript; charset=utf-8");
+  assert.equal((await fetch(`http://127.0.0.1:${port}/package.json`)).status, 404);
+  assert.equal((await fetch(`http://127.0.0.1:${port}/%2e%2e/etc/passwd.html`)).status, 404);
+});
+
+test("players create and join a room by code", async () => {
+  const { created, joined, hello } = await startRoom();
+  assert.equal(created.type, "sync");
+  assert.match(created.room, /^[A-Z]{4}$/);
+  assert.equal(created.color, "w");
+  assert.equal(created.start, START);
+  assert.equal(created.opponent, false);
+  assert.equal(joined.color, "b");
+  assert.equal(joined.room, created.room);
+  assert.equal(joined.opponent, true);
+  assert.deepEqual(hello, { type: "opponent", connected: true, left: false });
+});
+
+test("joining a missing or full room fails", async () => {
+  const { created } = await startRoom();
+  const third = await openClient();
+  third.send({ type: "join", room: created.room });
+  assert.equal((await third.next()).type, "error");
+  third.send({ type: "join", room: "ZZZZ" });
+  assert.equal((await third.next()).type, "error");
+});
+
+test("a room can't start with rules that don't fit the board", async () => {
+  const host = await openClient();
+  host.send({ type: "create", position: START, variant: "king-of-the-hill" });
+  assert.equal((await host.next()).type, "error");
+});
+
+test("legal moves are relayed and illegal ones resync the sender", async () => {
+  const { host, guest } = await startRoom();
+  guest.send({ type: "move", ply: 0, from: "A4", to: "A3" });
+  const refused = await guest.next();
+  assert.equal(refused.type, "sync");
+  assert.deepEqual(refused.moves, []);
+
+  host.send({ type: "move", ply: 0, from: "D1", to: "D3" });
+  assert.deepEqual(await guest.next(), { type: "move", ply: 0, from: "D1", to: "D3", promotion: null });
+
+  host.send({ type: "move", ply: 1, from: "D3", to: "D4" });
+  const resync = await host.next();
+  assert.equal(resync.moves.length, 1);
+});
+
+test("a reconnecting player gets the whole game back", async () => {
+  const { host, guest, joined } = await startRoom();
+  host.send({ type: "move", ply: 0, from: "D1", to: "D2" });
+  await guest.next();
+  guest.close();
+  assert.deepEqual(await host.next(), { type: "opponent", connected: false, left: false });
+
+  const again = await openClient();
+  again.send({ type: "resume", room: joined.room, token: joined.token });
+  const state = await again.next();
+  assert.equal(state.color, "b");
+  assert.deepEqual(state.moves, [{ from: "D1", to: "D2", promotion: null }]);
+  assert.deepEqual(await host.next(), { type: "opponent", connected: true, left: false });
+
+  again.send({ type: "resume", room: joined.room, token: "wrong" });
+  assert.equal((await again.next()).code, "gone");
+});
+
+test("a resume without a room and token is refused", async () => {
+  const { host, created } = await startRoom();
+  const stranger = await openClient();
+  stranger.send({ type: "resume" });
+  assert.equal((await stranger.next()).code, "gone");
+  stranger.send({ type: "resume", room: created.room });
+  assert.equal((await stranger.next()).code, "gone");
+  stranger.send({ type: "resume", room: created.room, token: "" });
+  assert.equal((await stranger.next()).code, "gone");
+
+  host.send({ type: "sync" });
+  assert.equal((await host.next()).room, created.room);
+});
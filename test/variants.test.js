@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ChessGame,
+  VARIANTS,
+  chooseComputerMove,
+  detectDraw,
+  generateStartingPosition,
+  parsePosition,
+  serializePosition,
+  variantStartError,
+} from "../engine.js";
+
+function gameFrom(text, variant) {
+  return new ChessGame({ ...parsePosition(text), variant });
+}
+
+test("unknown variants fall back to classic rules", () => {
+  assert.equal(gameFrom("k3/4/1K2/3R w 4", "nope").variant, "standard");
+});
+
+test("capture the king allows moving into check", () => {
+  const game = gameFrom("k3/4/1K2/3R w 4", "capture-king");
+  assert.ok(game.getLegalMoves(game.getPieceAt("B2"), "B2").includes("B3"));
+  const board = game.applyMove(game.board, "B2", "B3");
+  assert.equal(game.outcome(board, "b"), null);
+  const taken = game.applyMove(board, "A4", "B3");
+  assert.equal(game.outcome(taken, "w").winner, "b");
+  assert.equal(game.outcome(taken, "w").title, "King captured!");
+});
+
+test("capture the king has no checkmate, only a king to take", () => {
+  const game = gameFrom("k3/4/1K2/3R w 4", "capture-king");
+  const board = game.applyMove(game.board, "D1", "D4");
+  assert.equal(game.isCheckmate("b", board), false);
+  assert.equal(game.outcome(board, "b"), null);
+  const blunder = game.applyMove(board, "A4", "A3");
+  const reply = chooseComputerMove(new ChessGame({ board: blunder, turn: "w", size: 4, variant: "capture-king" }), "w", 2);
+  assert.equal(reply.to, "A3");
+});
+
+test("eat all is lost by the first side left with only a king", () => {
+  const game = gameFrom("k3/4/1p2/1K1R w 4", "eat-all");
+  assert.equal(game.outcome(), null);
+  const board = game.applyMove(game.board, "B1", "B2");
+  const outcome = game.outcome(board, "b");
+  assert.equal(outcome.winner, "w");
+  assert.equal(outcome.title, "All eaten!");
+});
+
+test("eat all still ends on checkmate", () => {
+  const game = gameFrom("k3/1p2/1K2/3R w 4", "eat-all");
+  const board = game.applyMove(game.board, "D1", "D4");
+  assert.equal(game.outcome(board, "b").title, "Checkmate!");
+});
+
+test("king of the hill is won on the middle square", () => {
+  const game = gameFrom("k4/5/5/1K3/5 w 5", "king-of-the-hill");
+  assert.deepEqual(game.goalSquares(), ["C3"]);
+  const board = game.applyMove(game.board, "B2", "C3");
+  assert.equal(game.outcome(board, "b").winner, "w");
+  assert.equal(chooseComputerMove(game, "w", 2).to, "C3");
+  assert.deepEqual(gameFrom("k4/5/5/1K3/5 w 5").goalSquares(), []);
+});
+
+test("insufficient material is only a draw in classic chess", () => {
+  const positions = [parsePosition("k3/4/1K2/4 w 4")];
+  assert.ok(detectDraw(positions, [], 0, null));
+  assert.equal(detectDraw(positions, [], 0, null, "king-of-the-hill"), null);
+});
+
+for (const variant of Object.keys(VARIANTS)) {
+  test(`starting positions for ${variant} are not already won`, () => {
+    const size = VARIANTS[variant].size ?? 4;
+    const pieces = [
+      { type: "r", color: "w" },
+      { type: "n", color: "b" },
+    ];
+    for (let i = 0; i < 20; i += 1) {
+      const position = generateStartingPosition(pieces, { size, variant });
+      assert.equal(position.error, undefined);
+      const game = new ChessGame({ ...position, variant });
+      assert.equal(game.outcome(), null);
+      assert.equal(game.outcome(game.board, "b")?.winner ?? null, null);
+    }
+  });
+}
+
+test("variants explain why a start is impossible", () => {
+  assert.ok(generateStartingPosition([{ type: "r", color: "w" }], { variant: "eat-all" }).error);
+  assert.ok(generateStartingPosition([], { size: 4, variant: "king-of-the-hill" }).error);
+});
+
+test("variants check positions that were not generated", () => {
+  const standard = parsePosition("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w 8");
+  assert.ok(variantStartError("king-of-the-hill", standard.board, standard.size));
+  assert.equal(variantStartError("eat-all", standard.board, standard.size), null);
+  assert.equal(variantStartError("standard", standard.board, standard.size), null);
+  const bare = parsePosition("k4/5/5/5/4K w 5");
+  assert.ok(variantStartError("eat-all", bare.board, bare.size));
+  assert.equal(variantStartError("king-of-the-hill", bare.board, bare.size), null);
+});
+
+test("capture-the-king positions round-trip through the position text", () => {
+  for (const text of ["kK2/4/4/3R w 4", "k2R/4/4/K3 w 4"]) {
+    assert.ok(parsePosition(text).error);
+    const position = parsePosition(text, "capture-king");
+    assert.equal(position.error, undefined);
+    assert.equal(serializePosition(new ChessGame({ ...position, variant: "capture-king" })), text);
+  }
+});